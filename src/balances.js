@@ -0,0 +1,143 @@
+/**
+ * Balance dashboard
+ * A snapshot of every wallet's SOL and SPL / Token-2022 holdings as plain data, rendered as
+ * tables for the terminal or exported as CSV and JSON. Watch mode re-renders it with what
+ * changed since watching started.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+
+// getMultipleAccountsInfo accepts at most 100 keys per request
+export const ACCOUNTS_PER_REQUEST = 100;
+
+export const BALANCE_EXPORT_FORMATS = ['csv', 'json'];
+
+const sol = (lamports) => (lamports / 1e9).toFixed(4);
+
+// Base units as a decimal string without floating point rounding, trailing zeros dropped
+export function formatUnits(amount, decimals) {
+    const text = BigInt(amount).toString().padStart(decimals + 1, '0');
+    const whole = text.slice(0, text.length - decimals);
+    const fraction = text.slice(text.length - decimals).replace(/0+$/, '');
+    return fraction ? `${whole}.${fraction}` : whole;
+}
+
+// One holding from getParsedTokenAccountsByOwner data
+export function tokenHolding({ pubkey, account }, programId) {
+    const info = account.data.parsed.info;
+    return {
+        account: pubkey.toBase58(),
+        mint: info.mint,
+        program: programId,
+        amount: info.tokenAmount.amount,
+        decimals: info.tokenAmount.decimals,
+        uiAmount: info.tokenAmount.uiAmountString,
+        frozen: info.state === 'frozen'
+    };
+}
+
+// wallets: [{ index, label, address, lamports, tokens: [tokenHolding] }]. `symbols` maps mints to a
+// known symbol or name. Empty token accounts are kept, they still hold rent.
+export function buildSnapshot({ network, wallets, symbols = new Map(), takenAt = new Date() }) {
+    const mints = new Map();
+    for (const wallet of wallets) {
+        for (const token of wallet.tokens) {
+            const total = mints.get(token.mint) ?? {
+                mint: token.mint,
+                symbol: symbols.get(token.mint) ?? null,
+                program: token.program,
+                decimals: token.decimals,
+                amount: 0n,
+                holders: 0
+            };
+            total.amount += BigInt(token.amount);
+            if (BigInt(token.amount) > 0n) total.holders++;
+            mints.set(token.mint, total);
+        }
+    }
+
+    return {
+        network,
+        takenAt: takenAt.toISOString(),
+        wallets: wallets.map(wallet => ({
+            ...wallet,
+            sol: wallet.lamports / 1e9,
+            tokens: wallet.tokens.map(token => ({ ...token, symbol: symbols.get(token.mint) ?? null }))
+        })),
+        totals: {
+            lamports: wallets.reduce((sum, w) => sum + w.lamports, 0),
+            tokenAccounts: wallets.reduce((sum, w) => sum + w.tokens.length, 0),
+            mints: [...mints.values()]
+                .map(total => ({ ...total, amount: total.amount.toString(), uiAmount: formatUnits(total.amount, total.decimals) }))
+                .sort((a, b) => b.holders - a.holders || a.mint.localeCompare(b.mint))
+        }
+    };
+}
+
+const tokenName = (token) => token.symbol ?? `${token.mint.slice(0, 8)}…`;
+
+// "+0.5000" in green or "-1.2" in red against an earlier snapshot, nothing when unchanged
+const change = (before, after, format) => {
+    if (before === undefined || before === after) return '';
+    const difference = after - before;
+    return difference > 0 ? chalk.green(` +${format(difference)}`) : chalk.red(` -${format(-difference)}`);
+};
+
+export function renderSnapshot(snapshot, since = null) {
+    const before = new Map(since?.wallets.map(w => [w.address, w]) ?? []);
+
+    const table = new Table({ head: ['#', 'Wallet', 'SOL', 'Tokens'].map(h => chalk.yellow(h)) });
+    for (const wallet of snapshot.wallets) {
+        const old = before.get(wallet.address);
+        const oldTokens = new Map(old?.tokens.map(t => [t.account, t]) ?? []);
+        const tokens = wallet.tokens.map(token => {
+            const oldAmount = since ? BigInt(oldTokens.get(token.account)?.amount ?? 0) : undefined;
+            const text = `${tokenName(token)} ${token.uiAmount}${change(oldAmount, BigInt(token.amount), n => formatUnits(n, token.decimals))}`;
+            return token.frozen ? chalk.yellow(`${text} (frozen)`) : text;
+        });
+        table.push([
+            chalk.green(wallet.index),
+            chalk.cyan(wallet.label ? `${wallet.address}\n${wallet.label}` : wallet.address),
+            chalk.green(sol(wallet.lamports)) + change(old?.lamports, wallet.lamports, sol),
+            tokens.join('\n') || chalk.gray('-')
+        ]);
+    }
+
+    const totals = new Table({ head: ['Token', 'Mint', 'Program', 'Total', 'Holders'].map(h => chalk.yellow(h)) });
+    snapshot.totals.mints.forEach(mint => totals.push([mint.symbol ?? '-', mint.mint, mint.program, mint.uiAmount, mint.holders]));
+
+    return `${table.toString()}
+Total: ${sol(snapshot.totals.lamports)} SOL in ${snapshot.wallets.length} wallets, ${snapshot.totals.tokenAccounts} token accounts
+${snapshot.totals.mints.length > 0 ? `\n${totals.toString()}\n` : ''}${chalk.gray(`Updated ${new Date(snapshot.takenAt).toLocaleTimeString()} on ${snapshot.network}`)}`;
+}
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per wallet for SOL and one per token account
+export function snapshotToCsv(snapshot) {
+    const rows = [['wallet', 'label', 'address', 'asset', 'symbol', 'program', 'account', 'amount', 'decimals', 'ui_amount']];
+    for (const wallet of snapshot.wallets) {
+        rows.push([wallet.index, wallet.label, wallet.address, 'SOL', 'SOL', 'system', wallet.address, wallet.lamports, 9, formatUnits(wallet.lamports, 9)]);
+        for (const token of wallet.tokens) {
+            rows.push([wallet.index, wallet.label, wallet.address, token.mint, token.symbol, token.program, token.account, token.amount, token.decimals, token.uiAmount]);
+        }
+    }
+    return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// The format comes from the file extension unless given
+export function writeSnapshot(snapshot, file, format = path.extname(file).slice(1).toLowerCase()) {
+    if (!BALANCE_EXPORT_FORMATS.includes(format)) {
+        throw new Error(`Unknown balance export format "${format}", use ${BALANCE_EXPORT_FORMATS.join(' or ')}`);
+    }
+    const dir = path.dirname(file);
+    if (dir !== '.') fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, format === 'csv' ? snapshotToCsv(snapshot) : JSON.stringify(snapshot, null, 2) + '\n');
+    return file;
+}
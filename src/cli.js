@@ -0,0 +1,850 @@
+/**
+ * Headless command line interface
+ * Runs the deployer from scripts, cron or CI without the interactive menu
+ */
+
+import { parseArgs } from 'util';
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import { SonicDeployer } from './deployer.js';
+import { attachConsoleOutput } from './console-output.js';
+import { promptPassphrase, question, closePrompt } from './prompt.js';
+import { ConfigError, explorerUrl } from './config.js';
+import { renderDryRun } from './dry-run.js';
+import { renderSnapshot, writeSnapshot, BALANCE_EXPORT_FORMATS } from './balances.js';
+import { renderFundingPlan, renderSweepPlan, renderTransferResults, renderAirdropResults } from './funds.js';
+import { Daemon, readDaemonStatus, renderDaemonStatus } from './daemon.js';
+import { ScheduleError } from './schedule.js';
+import { renderDistributionPlan, renderDistributionResults, distributionToJson, DistributionError } from './distribution.js';
+import { KeyFormatError, KeystoreError, renderKeystore, renderImport } from './keystore.js';
+import { ScenarioError, SCENARIO_ACTIONS } from './scenario.js';
+import { LOG_LEVELS } from './logger.js';
+import { parseTokenOptions, toBaseUnits } from './token-options.js';
+import { readReport, renderReport, renderText, REPORT_FORMATS } from './reports.js';
+import {
+    loadReports,
+    searchReports,
+    diffReports,
+    aggregateReports,
+    renderSearchResults,
+    renderDiff,
+    renderDashboard
+} from './report-browser.js';
+
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1;
+export const EXIT_USAGE = 2;
+export const EXIT_INIT = 3;
+
+const USAGE = `
+Usage: node deploy.js <command> [options]
+
+Commands:
+  balances                 Show every wallet's SOL and token holdings
+  deploy-token             Deploy one token per wallet
+  deploy-nft               Deploy one NFT collection per wallet from the NFT asset folder
+  interact                 Deploy per wallet and run the interaction set on it
+  resume                   Continue the last unfinished run
+  fund                     Top up wallets below --below SOL to --top-up SOL from the
+                           --treasury wallet
+  airdrop                  Request --amount SOL (default 1) for each wallet from the
+                           RPC's faucet, on test validators, devnet and testnet
+  sweep                    Send every wallet's SOL to --destination, with --tokens also
+                           SPL balances, closing the emptied token accounts
+  token <action>           One token action by --wallet on --mint: freeze, thaw,
+                           approve, revoke, delegate-transfer, close, set-authority,
+                           mint, transfer or burn
+  distribute               Send --mint from one --wallet to every row of a
+                           --recipients CSV (address,amount), skipping rows sent before
+  daemon                   Run the config's daemon.jobs on their cron schedules until
+                           SIGINT or SIGTERM, which let the current transaction finish
+  daemon status            Show the daemon's next planned job and last results
+  report list              List saved reports
+  report show <file|#>     Print a saved report, --format picks txt, json, csv, md or html
+  report export <file|#>   Write a saved report in --format csv, md, html or txt next to it
+  report search            Find entries across all reports, filtered by --from, --to,
+                           --wallet, --action, --mint and --failed
+  report diff <#> <#>      Compare two runs
+  report dashboard         Totals across all runs: deployments per wallet,
+                           interaction success rate, SOL spent per day
+  keys list                List the wallets in the keystore
+  keys import <file|->     Encrypt base58 keys, a Solana CLI keypair file or a mnemonic
+                           into the keystore, - reads stdin
+  keys export <wallet>     Print a wallet's secret key, --format base58 or json
+  keys label <wallet> <label>
+                           Name a wallet, an empty label clears it
+  keys remove <wallet>     Delete a wallet from the keystore, needs the passphrase and
+                           a y/N confirmation or --yes
+                           <wallet> is a list number, label or address
+
+Options:
+  -c, --config <file>      Config file (default: sonic-config.json)
+      --network <name>     Network profile from the config file
+  -k, --keys <file>        Plaintext key file, used instead of the keystore
+      --passphrase-file <file>
+                           Read the keystore passphrase from a file
+                           (or set SONIC_KEYSTORE_PASSPHRASE)
+      --label <label>      keys import: label for the imported wallets
+      --path <path>        keys import: mnemonic derivation path, may be repeated
+                           (default: m/44'/501'/0'/0')
+  -r, --rpc <url>          RPC endpoint, overrides the network profile
+  -n, --count <number>     Interactions per wallet (interact)
+  -i, --interval <min>     Minutes between interactions (interact)
+  -t, --type <token|nft>   What interact deploys (default: token)
+      --reuse              interact with each wallet's last deployed token or collection
+  -m, --mint <address>     interact with an existing token mint instead of deploying
+      --nft-folder <dir>   NFT asset folder (default: from config)
+      --scenario <file>    Interaction scenario file (default: from config, or random)
+      --seed <seed>        Seed for the run's random choices, repeats a run exactly
+      --format <format>    Report format for report show/export
+      --from <date>        report search: runs started on or after this date
+      --to <date>          report search: runs started on or before this date
+      --action <text>      report search: actions containing this text, e.g. transfer
+      --failed             report search: only failures
+  -w, --wallet <index>     Only use this wallet, may be repeated
+  -p, --concurrency <n>    Wallets processed at the same time (default: from config)
+      --rate-limit <n>     RPC requests per second, 0 for no limit (default: from network)
+      --dry-run            deploy-token, interact: simulate every transaction and
+                           estimate rent and fees per wallet without sending anything.
+                           fund, sweep, distribute: only print the preview table
+      --json               Print machine readable JSON on stdout
+  -y, --yes                keys remove: skip the confirmation
+      --log-file <file>    Write a JSON lines log of runs, transactions and errors
+                           (default: from config, off)
+      --log-level <level>  info, warn, error, or debug to add every RPC call
+                           (default: from config, info)
+      --webhook <url>      POST run start, wallet failures, low balances and the run
+                           summary to this Slack, Discord or JSON webhook
+  -h, --help               Show this help
+
+Token options (deploy-token, interact):
+      --name <name>                Token name, stored as on-chain metadata
+      --symbol <symbol>            Token symbol
+      --uri <url>                  Metadata JSON URI
+      --decimals <n>               Mint decimals (default: from config)
+      --supply <amount>            Initial supply minted to the deploying wallet
+      --mint-authority <mode>      keep, revoke or a wallet address (default: keep)
+      --freeze-authority <mode>    keep, disable or a wallet address (default: keep)
+      --program <program>          token or token-2022 (default: token)
+
+Token-2022 extensions:
+      --transfer-fee <bps>         Transfer fee in basis points
+      --max-fee <amount>           Maximum fee per transfer
+      --interest-rate <bps>        Interest-bearing rate in basis points
+      --non-transferable           Tokens cannot be transferred
+      --metadata-pointer           Point the mint at its own metadata (on with --name)
+      --permanent-delegate <addr>  self or a wallet address
+
+Transaction options:
+      --priority-fee <n>           Compute unit price in micro-lamports
+      --compute-units <n>          Compute unit limit per transaction
+      --retries <n>                Send retries per transaction
+      --skip-simulation            Send without simulating first
+
+Balance options:
+      --watch                      Keep refreshing until Ctrl-C
+      --refresh <seconds>          Seconds between refreshes (default: 10)
+      --subscribe                  Refresh when a wallet or token account changes instead
+      --export <file>              Also write the balances to a .csv or .json file
+
+Fund, sweep and airdrop options:
+      --treasury <wallet>          Wallet number, label or address that pays for fund
+      --below <sol>                Fund wallets below this balance (default: minBalance)
+      --top-up <sol>               Balance funded wallets end up with (default: --below)
+      --destination <address>      Where sweep sends everything, an address or wallet
+      --tokens                     Also sweep SPL and Token-2022 balances
+      --keep <sol>                 SOL left in each swept wallet (default: 0)
+      --amount <sol>               SOL per wallet for airdrop (default: 1)
+
+Distribution options:
+      --recipients <file>          CSV of address,amount rows, amounts in whole tokens
+      --results <file>             Per-row result file (default: <recipients>.results.csv)
+
+Token action options:
+      --amount <n>                 Base units for mint, transfer, burn, approve and
+                                   delegate-transfer
+      --target <target>            Wallet number, address, random or round-robin: who
+                                   receives, becomes delegate or authority, or whose account
+                                   is frozen (also self). none revokes with set-authority
+      --authority <mint|freeze>    Which authority set-authority changes (default: mint)
+
+Exit codes:
+  0  success
+  1  one or more wallets or interactions failed
+  2  invalid command or options
+  3  config or wallets could not be loaded
+`;
+
+const OPTIONS = {
+    config: { type: 'string', short: 'c' },
+    network: { type: 'string' },
+    keys: { type: 'string', short: 'k' },
+    'passphrase-file': { type: 'string' },
+    label: { type: 'string' },
+    path: { type: 'string', multiple: true },
+    rpc: { type: 'string', short: 'r' },
+    count: { type: 'string', short: 'n' },
+    interval: { type: 'string', short: 'i' },
+    type: { type: 'string', short: 't', default: 'token' },
+    reuse: { type: 'boolean', default: false },
+    mint: { type: 'string', short: 'm' },
+    'nft-folder': { type: 'string' },
+    scenario: { type: 'string' },
+    seed: { type: 'string' },
+    format: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    action: { type: 'string' },
+    failed: { type: 'boolean' },
+    wallet: { type: 'string', short: 'w', multiple: true },
+    concurrency: { type: 'string', short: 'p' },
+    'rate-limit': { type: 'string' },
+    'log-file': { type: 'string' },
+    'log-level': { type: 'string' },
+    webhook: { type: 'string' },
+    name: { type: 'string' },
+    symbol: { type: 'string' },
+    uri: { type: 'string' },
+    decimals: { type: 'string' },
+    supply: { type: 'string' },
+    'mint-authority': { type: 'string' },
+    'freeze-authority': { type: 'string' },
+    program: { type: 'string' },
+    'transfer-fee': { type: 'string' },
+    'max-fee': { type: 'string' },
+    'interest-rate': { type: 'string' },
+    'non-transferable': { type: 'boolean' },
+    'metadata-pointer': { type: 'boolean' },
+    'permanent-delegate': { type: 'string' },
+    'priority-fee': { type: 'string' },
+    'compute-units': { type: 'string' },
+    retries: { type: 'string' },
+    'skip-simulation': { type: 'boolean' },
+    treasury: { type: 'string' },
+    below: { type: 'string' },
+    'top-up': { type: 'string' },
+    destination: { type: 'string' },
+    tokens: { type: 'boolean', default: false },
+    keep: { type: 'string' },
+    amount: { type: 'string' },
+    target: { type: 'string' },
+    authority: { type: 'string' },
+    recipients: { type: 'string' },
+    results: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+    watch: { type: 'boolean', default: false },
+    refresh: { type: 'string' },
+    subscribe: { type: 'boolean', default: false },
+    export: { type: 'string' },
+    json: { type: 'boolean', default: false },
+    yes: { type: 'boolean', short: 'y', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+class UsageError extends Error {}
+
+const parseNumber = (value, name, { integer = false } = {}) => {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || (integer && !Number.isInteger(number))) {
+        throw new UsageError(`--${name} must be a non-negative ${integer ? 'integer' : 'number'}`);
+    }
+    return number;
+};
+
+// Token amounts in base units, as a bigint: 9 decimals pass 2^53 at about 9 million tokens
+const parseBaseUnits = (value, name) => {
+    if (value === undefined) return undefined;
+    try {
+        return toBaseUnits(value, 0);
+    } catch {
+        throw new UsageError(`--${name} must be a whole number of base units`);
+    }
+};
+
+const printJson = (data) => {
+    console.log(JSON.stringify(data, null, 2));
+};
+
+const serializeEntry = (entry) => ({
+    ...entry,
+    timestamp: entry.timestamp instanceof Date ? entry.timestamp.toISOString() : entry.timestamp
+});
+
+const printRun = (deployer, run, values) => {
+    const { report, files } = deployer.saveReport();
+
+    if (values.json) {
+        printJson({
+            deployments: run.deployments.map(serializeEntry),
+            interactions: run.interactions.map(serializeEntry),
+            failures: run.failures,
+            summary: report.summary,
+            report: files.json
+        });
+    } else {
+        console.log(renderText(report, { color: true }));
+    }
+
+    return run.failures.length > 0 ? EXIT_FAILURE : EXIT_OK;
+};
+
+async function runDeployment(deployer, values, type, interactionCount) {
+    const walletIndexes = values.wallet?.map(w => parseNumber(w, 'wallet', { integer: true }));
+    let token;
+    if (type === 'token' && !values.reuse && !values.mint) {
+        try {
+            token = parseTokenOptions({
+                name: values.name,
+                symbol: values.symbol,
+                uri: values.uri,
+                decimals: values.decimals,
+                supply: values.supply,
+                mintAuthority: values['mint-authority'],
+                freezeAuthority: values['freeze-authority'],
+                program: values.program,
+                transferFee: values['transfer-fee'],
+                maxFee: values['max-fee'],
+                interestRate: values['interest-rate'],
+                nonTransferable: values['non-transferable'],
+                metadataPointer: values['metadata-pointer'],
+                permanentDelegate: values['permanent-delegate']
+            }, { decimals: deployer.settings.tokenDecimals });
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+    const options = {
+        type,
+        token,
+        interactionCount,
+        walletIndexes,
+        reuse: values.reuse,
+        mint: values.mint,
+        scenario: values.scenario,
+        // Numbers stay numbers so --seed 42 repeats a run that logged seed 42
+        seed: values.seed === undefined ? undefined : /^\d+$/.test(values.seed) ? Number(values.seed) : values.seed
+    };
+
+    if (values['dry-run']) {
+        if (type === 'nft') throw new UsageError('--dry-run covers token deployments and interactions only');
+        const result = await deployer.dryRunDeployment(options);
+        if (values.json) {
+            printJson(result);
+        } else {
+            console.log(renderDryRun(result));
+        }
+        return result.failures > 0 ? EXIT_FAILURE : EXIT_OK;
+    }
+
+    const run = await deployer.runDeployment(options);
+    return printRun(deployer, run, values);
+}
+
+// --json prints the wallet rows, in watch mode one snapshot per line
+async function balancesCommand(deployer, values) {
+    if (!values.watch) {
+        const snapshot = await deployer.balanceSnapshot();
+        if (values.export) console.error(chalk.green(`✅ Saved to ${writeSnapshot(snapshot, values.export)}`));
+        if (values.json) printJson(snapshot.wallets);
+        else console.log(renderSnapshot(snapshot));
+        return EXIT_OK;
+    }
+
+    // Ctrl-C ends the watch, not the process
+    const controller = new AbortController();
+    const stop = () => controller.abort();
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    try {
+        await deployer.watchBalances({
+            intervalMs: (parseNumber(values.refresh, 'refresh') ?? 10) * 1000,
+            subscribe: values.subscribe,
+            signal: controller.signal,
+            onSnapshot: (snapshot, first) => {
+                if (values.export) writeSnapshot(snapshot, values.export);
+                if (values.json) {
+                    console.log(JSON.stringify(snapshot));
+                } else {
+                    console.clear();
+                    console.log(renderSnapshot(snapshot, first));
+                    console.log(chalk.yellow(`\nChanges since ${new Date(first.takenAt).toLocaleTimeString()}, Ctrl-C to stop`));
+                }
+            }
+        });
+    } finally {
+        process.removeListener('SIGINT', stop);
+        process.removeListener('SIGTERM', stop);
+    }
+    return EXIT_OK;
+}
+
+async function resumeCommand(deployer, values) {
+    const unfinished = deployer.state.unfinishedRun();
+    if (!unfinished) {
+        if (values.json) printJson(null);
+        else console.log('No unfinished run');
+        return EXIT_OK;
+    }
+    const run = await deployer.runDeployment({ resume: unfinished });
+    return printRun(deployer, run, values);
+}
+
+// The preview goes to stderr with --json, so stdout carries only the result
+async function fundsCommand(deployer, command, values) {
+    const walletIndexes = values.wallet?.map(w => parseNumber(w, 'wallet', { integer: true }));
+    let plan;
+    if (command === 'fund') {
+        if (!values.treasury) throw new UsageError('fund needs --treasury <wallet>');
+        plan = await deployer.planFunding({
+            treasury: values.treasury,
+            threshold: parseNumber(values.below, 'below'),
+            target: parseNumber(values['top-up'], 'top-up'),
+            walletIndexes
+        });
+    } else {
+        if (!values.destination) throw new UsageError('sweep needs --destination <address>');
+        plan = await deployer.planSweep({
+            destination: values.destination,
+            tokens: values.tokens,
+            keep: parseNumber(values.keep, 'keep'),
+            walletIndexes
+        });
+    }
+
+    const preview = command === 'fund' ? renderFundingPlan(plan) : renderSweepPlan(plan);
+    (values.json ? console.error : console.log)(preview);
+    if (values['dry-run']) {
+        if (values.json) printJson({ plan });
+        return EXIT_OK;
+    }
+
+    const results = command === 'fund' ? await deployer.fundWallets(plan) : await deployer.sweepWallets(plan);
+    if (values.json) {
+        printJson({ plan, results });
+    } else if (results.length > 0) {
+        console.log(renderTransferResults(results, signature => explorerUrl(deployer.network, 'tx', signature)));
+    }
+    return results.some(r => r.error) ? EXIT_FAILURE : EXIT_OK;
+}
+
+async function reportCommand(deployer, positionals, values) {
+    const [subcommand, target] = positionals;
+    const reports = deployer.listReports();
+
+    if (subcommand === 'list') {
+        if (values.json) {
+            printJson(reports);
+        } else if (reports.length === 0) {
+            console.error(chalk.red('❌ No previous reports found'));
+        } else {
+            reports.forEach((report, i) => console.log(`${i + 1}. ${report}`));
+        }
+        return EXIT_OK;
+    }
+
+    if (subcommand === 'show' || subcommand === 'export') {
+        if (!target) throw new UsageError(`report ${subcommand} needs a report file or number`);
+        const format = values.format ?? (subcommand === 'show' ? 'txt' : undefined);
+        if (!REPORT_FORMATS.includes(format)) {
+            throw new UsageError(`--format must be one of ${REPORT_FORMATS.join(', ')}`);
+        }
+        const selectedReport = /^\d+$/.test(target) ? reports[parseInt(target) - 1] : target;
+        if (!selectedReport || !reports.includes(selectedReport)) {
+            console.error(chalk.red(`❌ Report not found: ${target}`));
+            return EXIT_FAILURE;
+        }
+
+        const report = readReport(selectedReport);
+        if (subcommand === 'export') {
+            const file = deployer.exportReport(selectedReport, format);
+            if (values.json) {
+                printJson({ file });
+            } else {
+                console.error(chalk.green(`✅ Exported to ${file}`));
+            }
+            return EXIT_OK;
+        }
+
+        // Text reports from older versions can only be shown as they are
+        const content = report ? renderReport(report, format) : fs.readFileSync(selectedReport, 'utf8');
+        if (values.json) {
+            printJson({ file: selectedReport, content });
+        } else {
+            process.stdout.write(content);
+        }
+        return EXIT_OK;
+    }
+
+    if (subcommand === 'search') {
+        let rows;
+        try {
+            rows = searchReports(loadReports(reports), values);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+        if (values.json) {
+            printJson(rows);
+        } else {
+            console.log(renderSearchResults(rows));
+        }
+        return EXIT_OK;
+    }
+
+    if (subcommand === 'diff') {
+        const [, first, second] = positionals;
+        if (!first || !second) throw new UsageError('report diff needs two report files or numbers');
+        const saved = loadReports(reports);
+        const pick = (target) => {
+            const found = /^\d+$/.test(target) ? saved[parseInt(target) - 1] : saved.find(entry => entry.file === target);
+            if (!found) throw new UsageError(`Report not found or not a JSON report: ${target}`);
+            return found;
+        };
+        const diff = diffReports(pick(first), pick(second));
+        if (values.json) {
+            printJson(diff);
+        } else {
+            console.log(renderDiff(diff));
+        }
+        return EXIT_OK;
+    }
+
+    if (subcommand === 'dashboard') {
+        const aggregate = aggregateReports(loadReports(reports));
+        if (values.json) {
+            printJson(aggregate);
+        } else {
+            console.log(renderDashboard(aggregate));
+        }
+        return EXIT_OK;
+    }
+
+    throw new UsageError(`Unknown report command: ${subcommand ?? '(none)'}`);
+}
+
+async function tokenCommand(deployer, positionals, values) {
+    const [action] = positionals;
+    if (!action) throw new UsageError(`token needs an action: ${SCENARIO_ACTIONS.token.join(', ')}`);
+    if (!values.mint) throw new UsageError('token actions need --mint');
+    if (values.wallet?.length !== 1) throw new UsageError('token actions need exactly one --wallet');
+
+    const result = await deployer.runTokenAction({
+        wallet: values.wallet[0],
+        mint: values.mint,
+        action,
+        amount: parseBaseUnits(values.amount, 'amount'),
+        target: values.target !== undefined && /^\d+$/.test(values.target) ? Number(values.target) : values.target,
+        authority: values.authority
+    });
+    if (values.json) {
+        printJson(result);
+    } else {
+        result.transactions.forEach(tx => console.log(tx.explorer ?? tx.signature));
+    }
+    return EXIT_OK;
+}
+
+// The plan goes to stderr with --json, like fund and sweep. A list that is short of tokens or SOL is shown
+// with its problems and nothing is sent.
+async function distributeCommand(deployer, values) {
+    if (!values.mint) throw new UsageError('distribute needs --mint');
+    if (values.wallet?.length !== 1) throw new UsageError('distribute needs exactly one --wallet');
+    if (!values.recipients) throw new UsageError('distribute needs --recipients <file>');
+
+    const plan = await deployer.planDistribution({
+        wallet: values.wallet[0],
+        mint: values.mint,
+        file: values.recipients,
+        resultFile: values.results
+    });
+    (values.json ? console.error : console.log)(renderDistributionPlan(plan));
+    if (values['dry-run'] || plan.problems.length > 0) {
+        if (values.json) printJson({ plan: distributionToJson(plan) });
+        return plan.problems.length > 0 ? EXIT_FAILURE : EXIT_OK;
+    }
+
+    await deployer.distributeTokens(plan);
+    if (values.json) {
+        printJson({ plan: distributionToJson(plan) });
+    } else {
+        console.log(renderDistributionResults(plan));
+        console.log(chalk.green(`✅ Results saved to ${plan.resultFile}`));
+    }
+    return plan.rows.some(r => r.status === 'failed' || r.status === 'unknown') ? EXIT_FAILURE : EXIT_OK;
+}
+
+// Ctrl-C or SIGTERM stops the daemon after the transaction in flight, a second one exits at once
+async function daemonCommand(deployer) {
+    const controller = new AbortController();
+    const stop = () => {
+        if (controller.signal.aborted) process.exit(EXIT_FAILURE);
+        controller.abort();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+    try {
+        await new Daemon(deployer).run(controller.signal);
+    } finally {
+        process.removeListener('SIGINT', stop);
+        process.removeListener('SIGTERM', stop);
+    }
+    return EXIT_OK;
+}
+
+async function keysCommand(deployer, positionals, values) {
+    const [subcommand, target, label] = positionals;
+    const { keystore } = deployer;
+
+    if (subcommand === 'list') {
+        const wallets = keystore.list().map(({ secret, ...wallet }) => wallet);
+        if (values.json) {
+            printJson(wallets);
+        } else if (wallets.length === 0) {
+            console.error(chalk.yellow(`No wallets in ${keystore.file}`));
+        } else {
+            console.log(renderKeystore(keystore.list()));
+        }
+        return EXIT_OK;
+    }
+
+    if (subcommand === 'import') {
+        if (!target) throw new UsageError('keys import needs a key file, or - for stdin');
+        const text = fs.readFileSync(target === '-' ? 0 : target, 'utf8');
+        const result = await deployer.importKeys(text, target === '-' ? 'stdin' : target, {
+            label: values.label,
+            derivationPaths: values.path
+        });
+        if (values.json) {
+            printJson(result);
+        } else {
+            console.log(renderImport(result));
+        }
+        return EXIT_OK;
+    }
+
+    if (subcommand === 'export') {
+        if (!target) throw new UsageError('keys export needs a wallet number, label or address');
+        const format = values.format ?? 'base58';
+        if (!['base58', 'json'].includes(format)) throw new UsageError('--format must be base58 or json');
+        await deployer.unlockKeystore();
+        const secretKey = keystore.exportKey(target, format);
+        if (values.json) {
+            printJson({ publicKey: keystore.find(target).publicKey, secretKey });
+        } else {
+            console.log(secretKey);
+        }
+        return EXIT_OK;
+    }
+
+    if (subcommand === 'label') {
+        if (!target || label === undefined) throw new UsageError('keys label needs a wallet and a label');
+        keystore.setLabel(target, label);
+        keystore.save();
+        if (!values.json) console.error(chalk.green('✅ Label saved'));
+        return EXIT_OK;
+    }
+
+    if (subcommand === 'remove') {
+        if (!target) throw new UsageError('keys remove needs a wallet number, label or address');
+        const wallet = keystore.find(target);
+        // Only whoever can unlock the keystore may delete from it, and only on purpose
+        await deployer.unlockKeystore();
+        if (!values.yes) {
+            if (!process.stdin.isTTY) throw new UsageError('keys remove deletes the secret key for good, confirm with --yes');
+            const confirm = await question(chalk.red(`Remove ${wallet.publicKey}? Export it first if you still need it (y/N): `));
+            closePrompt();
+            if (confirm.toLowerCase() !== 'y') {
+                console.error(chalk.yellow('Nothing removed'));
+                return EXIT_FAILURE;
+            }
+        }
+        keystore.remove(target);
+        keystore.save();
+        if (values.json) {
+            printJson({ removed: wallet.publicKey });
+        } else {
+            console.error(chalk.green(`✅ Removed ${wallet.publicKey}`));
+        }
+        return EXIT_OK;
+    }
+
+    throw new UsageError(`Unknown keys command: ${subcommand ?? '(none)'}`);
+}
+
+export async function runCli(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(chalk.red(`❌ ${error.message}`));
+        console.error(USAGE);
+        return EXIT_USAGE;
+    }
+
+    const { values, positionals } = parsed;
+    const [command, ...rest] = positionals;
+
+    if (values.help || !command) {
+        console.log(USAGE);
+        return values.help ? EXIT_OK : EXIT_USAGE;
+    }
+
+    let deployer;
+    try {
+        if (values.concurrency !== undefined && Number(values.concurrency) < 1) {
+            throw new UsageError('--concurrency must be at least 1');
+        }
+        if (values['log-level'] && !LOG_LEVELS.includes(values['log-level'])) {
+            throw new UsageError(`--log-level must be one of ${LOG_LEVELS.join(', ')}`);
+        }
+        if (values.webhook && !/^https?:\/\//.test(values.webhook)) {
+            throw new UsageError('--webhook must be an http(s) URL');
+        }
+
+        const transactions = {};
+        const setNumber = (key, flag) => {
+            const value = parseNumber(values[flag], flag, { integer: true });
+            if (value !== undefined) transactions[key] = value;
+        };
+        setNumber('computeUnitPrice', 'priority-fee');
+        setNumber('computeUnitLimit', 'compute-units');
+        setNumber('retries', 'retries');
+        if (values['skip-simulation']) transactions.simulate = false;
+
+        let passphrase;
+        if (values['passphrase-file']) {
+            passphrase = fs.readFileSync(values['passphrase-file'], 'utf8').replace(/\r?\n$/, '');
+        }
+
+        deployer = new SonicDeployer({
+            passphrase,
+            promptPassphrase,
+            transactions,
+            configFile: values.config,
+            network: values.network,
+            rpc: values.rpc,
+            keysFile: values.keys,
+            interactionCount: parseNumber(values.count, 'count', { integer: true }),
+            interactionInterval: parseNumber(values.interval, 'interval'),
+            concurrency: parseNumber(values.concurrency, 'concurrency', { integer: true }),
+            rateLimit: parseNumber(values['rate-limit'], 'rate-limit'),
+            logFile: values['log-file'],
+            logLevel: values['log-level'],
+            webhook: values.webhook
+        });
+        // With --json, stdout is reserved for the result document
+        attachConsoleOutput(deployer, { stderr: values.json });
+
+        // Reports are plain files, no wallets needed to read them
+        if (command === 'report') {
+            return await reportCommand(deployer, rest, values);
+        }
+
+        if (command === 'keys') {
+            return await keysCommand(deployer, rest, values);
+        }
+
+        if (command === 'daemon' && rest.length > 0) {
+            if (rest[0] !== 'status') throw new UsageError(`Unknown daemon command: ${rest[0]}`);
+            const status = readDaemonStatus(deployer.config.daemon.statusFile);
+            if (values.json) {
+                printJson(status);
+            } else {
+                console.log(renderDaemonStatus(status));
+            }
+            return EXIT_OK;
+        }
+
+        if (!['balances', 'deploy-token', 'deploy-nft', 'interact', 'resume', 'fund', 'sweep', 'airdrop', 'token', 'distribute', 'daemon'].includes(command)) {
+            throw new UsageError(`Unknown command: ${command}`);
+        }
+        if (!['token', 'nft'].includes(values.type)) {
+            throw new UsageError('--type must be token or nft');
+        }
+        if (values.mint && !['token', 'distribute'].includes(command) && (command !== 'interact' || values.type !== 'token' || values.reuse)) {
+            throw new UsageError('--mint only works with token actions, distribute and interact on tokens, without --reuse');
+        }
+        if (values.export && !BALANCE_EXPORT_FORMATS.includes(path.extname(values.export).slice(1).toLowerCase())) {
+            throw new UsageError(`--export needs a .${BALANCE_EXPORT_FORMATS.join(' or .')} file`);
+        }
+        if (values.refresh !== undefined && !(Number(values.refresh) > 0)) {
+            throw new UsageError('--refresh must be a number of seconds above 0');
+        }
+        if (values['nft-folder']) {
+            deployer.settings.nftFolder = values['nft-folder'];
+        }
+
+        try {
+            await deployer.init();
+        } catch (error) {
+            deployer.jsonLog?.write('error', 'error', { command, error: error.message });
+            console.error(chalk.red(`❌ ${error.message}`));
+            return EXIT_INIT;
+        }
+
+        switch (command) {
+            case 'balances':
+                return await balancesCommand(deployer, values);
+
+            case 'deploy-token':
+                return await runDeployment(deployer, values, 'token', 0);
+
+            case 'deploy-nft':
+                return await runDeployment(deployer, values, 'nft', 0);
+
+            case 'interact':
+                return await runDeployment(deployer, values, values.type, deployer.settings.interactionCount);
+
+            case 'resume':
+                return await resumeCommand(deployer, values);
+
+            case 'token':
+                return await tokenCommand(deployer, rest, values);
+
+            case 'distribute':
+                return await distributeCommand(deployer, values);
+
+            case 'daemon':
+                return await daemonCommand(deployer);
+
+            case 'fund':
+            case 'sweep':
+                return await fundsCommand(deployer, command, values);
+
+            case 'airdrop': {
+                const rows = await deployer.requestAirdrops({
+                    amount: parseNumber(values.amount, 'amount'),
+                    walletIndexes: values.wallet?.map(w => parseNumber(w, 'wallet', { integer: true }))
+                });
+                if (values.json) {
+                    printJson(rows);
+                } else {
+                    console.log(renderAirdropResults(rows, signature => explorerUrl(deployer.network, 'tx', signature)));
+                }
+                return rows.some(r => r.error) ? EXIT_FAILURE : EXIT_OK;
+            }
+        }
+    } catch (error) {
+        deployer?.jsonLog?.write('error', 'error', { command, error: error.message });
+        if (error instanceof UsageError) {
+            console.error(chalk.red(`❌ ${error.message}`));
+            console.error(USAGE);
+            return EXIT_USAGE;
+        }
+        if (error instanceof KeyFormatError || error instanceof ScenarioError || error instanceof DistributionError ||
+            error instanceof ScheduleError) {
+            console.error(chalk.red(`❌ ${error.message}`));
+            return EXIT_USAGE;
+        }
+        if (error instanceof ConfigError || error instanceof KeystoreError) {
+            console.error(chalk.red(`❌ ${error.message}`));
+            return EXIT_INIT;
+        }
+        console.error(chalk.red(`❌ An error occurred: ${error.message}`));
+        return EXIT_FAILURE;
+    } finally {
+        // Webhook requests still in flight would be cut off by the exit
+        await deployer?.notifications?.flush();
+    }
+}
@@ -0,0 +1,404 @@
+/**
+ * Persistent configuration and network profiles
+ * Stored as JSON next to the key file, defaults to sonic-config.json
+ */
+
+import fs from 'fs';
+import { REPORTS_DIR, REPORT_FORMATS } from './reports.js';
+import { KEYSTORE_FILE } from './keystore.js';
+import { parseSchedule } from './schedule.js';
+import { LOG_LEVELS } from './logger.js';
+import { NOTIFICATION_EVENTS, NOTIFICATION_FORMATS } from './notifications.js';
+
+export const CONFIG_FILE = 'sonic-config.json';
+
+// What a daemon job can run, the headless commands of the same name
+export const DAEMON_COMMANDS = ['interact', 'deploy-token', 'deploy-nft'];
+
+export const DEFAULT_CONFIG = {
+    network: 'sonic-testnet',
+    keysFile: 'private-sonic.txt',
+    stateFile: 'sonic-state.json',
+    keystoreFile: KEYSTORE_FILE,
+    networks: {
+        'sonic-testnet': {
+            rpc: 'https://api.testnet.v1.sonic.game',
+            explorer: 'https://explorer.sonic.game',
+            explorerQuery: ''
+        },
+        'devnet': {
+            rpc: 'https://api.devnet.solana.com',
+            explorer: 'https://explorer.solana.com',
+            explorerQuery: '?cluster=devnet'
+        },
+        'localnet': {
+            rpc: 'http://127.0.0.1:8899',
+            explorer: 'https://explorer.solana.com',
+            explorerQuery: '?cluster=custom&customUrl=http%3A%2F%2F127.0.0.1%3A8899'
+        }
+    },
+    // Send pipeline: retries with exponential backoff, optional priority fee (micro-lamports per
+    // compute unit) and compute unit limit (0 leaves them out), simulation and confirmation timeout
+    transactions: {
+        retries: 3,
+        backoffMs: 1000,
+        timeoutMs: 60000,
+        computeUnitPrice: 0,
+        computeUnitLimit: 0,
+        simulate: true
+    },
+    // Report files written after every run, the JSON data file is always written
+    reports: {
+        directory: REPORTS_DIR,
+        formats: [...REPORT_FORMATS]
+    },
+    // Bundlr upload target for NFT metadata without a pre-hosted uri
+    storage: {
+        address: 'https://devnet.bundlr.network',
+        providerUrl: 'https://api.devnet.solana.com',
+        timeout: 60000
+    },
+    // Jobs `node deploy.js daemon` runs on their cron schedule, see schedule.js
+    daemon: {
+        statusFile: 'sonic-daemon.json',
+        // Jobs a wallet takes part in per calendar day, 0 for no limit
+        maxJobsPerWalletPerDay: 0,
+        jobs: []
+    },
+    // JSON lines log of runs, transactions and errors, off until a file is set. debug adds every RPC call.
+    logging: {
+        file: null,
+        level: 'info'
+    },
+    // Webhook (Slack, Discord or any URL taking a JSON POST) told about runs, null turns it off
+    notifications: {
+        webhook: null,
+        // auto picks slack or discord from the webhook's host, json otherwise
+        format: 'auto',
+        events: [...NOTIFICATION_EVENTS],
+        timeoutMs: 10000
+    },
+    settings: {
+        interactionCount: 3,
+        interactionInterval: 1,
+        minBalance: 0.1,
+        tokenDecimals: 9,
+        nftFolder: 'nft-assets',
+        // Wallets processed at the same time
+        concurrency: 1,
+        // Scenario file for interactions, null picks actions at random
+        scenario: null
+    }
+};
+
+export class ConfigError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNumber = (value, { integer = false, min = 0, max = Infinity } = {}) =>
+    typeof value === 'number' && Number.isFinite(value) &&
+    (!integer || Number.isInteger(value)) && value >= min && value <= max;
+
+export function validateConfig(config) {
+    const problems = [];
+
+    for (const key of Object.keys(config)) {
+        if (!(key in DEFAULT_CONFIG)) problems.push(`unknown key "${key}"`);
+    }
+
+    if (typeof config.keysFile !== 'string' || config.keysFile.length === 0) {
+        problems.push('keysFile must be a file path');
+    }
+
+    if (typeof config.stateFile !== 'string' || config.stateFile.length === 0) {
+        problems.push('stateFile must be a file path');
+    }
+
+    if (typeof config.keystoreFile !== 'string' || config.keystoreFile.length === 0) {
+        problems.push('keystoreFile must be a file path');
+    }
+
+    if (!isObject(config.networks) || Object.keys(config.networks).length === 0) {
+        problems.push('networks must define at least one network');
+    } else {
+        for (const [name, profile] of Object.entries(config.networks)) {
+            if (!isObject(profile)) {
+                problems.push(`networks.${name} must be an object`);
+                continue;
+            }
+            if (typeof profile.rpc !== 'string' || !/^https?:\/\//.test(profile.rpc)) {
+                problems.push(`networks.${name}.rpc must be an http(s) URL`);
+            }
+            if (profile.explorer !== undefined && (typeof profile.explorer !== 'string' || !/^https?:\/\//.test(profile.explorer))) {
+                problems.push(`networks.${name}.explorer must be an http(s) URL`);
+            }
+            if (profile.explorerQuery !== undefined && typeof profile.explorerQuery !== 'string') {
+                problems.push(`networks.${name}.explorerQuery must be a string`);
+            }
+            if (profile.rateLimit !== undefined && !isNumber(profile.rateLimit)) {
+                problems.push(`networks.${name}.rateLimit must be a non-negative number of requests per second`);
+            }
+        }
+        if (!(config.network in config.networks)) {
+            problems.push(`network "${config.network}" is not defined in networks`);
+        }
+    }
+
+    const transactions = config.transactions;
+    if (!isObject(transactions)) {
+        problems.push('transactions must be an object');
+    } else {
+        for (const key of Object.keys(transactions)) {
+            if (!(key in DEFAULT_CONFIG.transactions)) problems.push(`unknown transactions setting "${key}"`);
+        }
+        for (const key of ['retries', 'backoffMs', 'computeUnitPrice', 'computeUnitLimit']) {
+            if (!isNumber(transactions[key], { integer: true })) {
+                problems.push(`transactions.${key} must be a non-negative integer`);
+            }
+        }
+        if (!isNumber(transactions.timeoutMs, { integer: true, min: 1000 })) {
+            problems.push('transactions.timeoutMs must be at least 1000 milliseconds');
+        }
+        if (transactions.computeUnitLimit > 1400000) {
+            problems.push('transactions.computeUnitLimit cannot exceed 1400000');
+        }
+        if (typeof transactions.simulate !== 'boolean') {
+            problems.push('transactions.simulate must be true or false');
+        }
+    }
+
+    const reports = config.reports;
+    if (!isObject(reports)) {
+        problems.push('reports must be an object');
+    } else {
+        if (typeof reports.directory !== 'string' || reports.directory.length === 0) {
+            problems.push('reports.directory must be a folder path');
+        }
+        if (!Array.isArray(reports.formats) || reports.formats.some(format => !REPORT_FORMATS.includes(format))) {
+            problems.push(`reports.formats must be a list of ${REPORT_FORMATS.join(', ')}`);
+        }
+    }
+
+    const storage = config.storage;
+    if (!isObject(storage)) {
+        problems.push('storage must be an object');
+    } else {
+        for (const key of ['address', 'providerUrl']) {
+            if (storage[key] !== undefined && (typeof storage[key] !== 'string' || !/^https?:\/\//.test(storage[key]))) {
+                problems.push(`storage.${key} must be an http(s) URL`);
+            }
+        }
+        if (storage.timeout !== undefined && !isNumber(storage.timeout, { integer: true, min: 1 })) {
+            problems.push('storage.timeout must be a positive number of milliseconds');
+        }
+    }
+
+    const daemon = config.daemon;
+    if (!isObject(daemon)) {
+        problems.push('daemon must be an object');
+    } else {
+        for (const key of Object.keys(daemon)) {
+            if (!(key in DEFAULT_CONFIG.daemon)) problems.push(`unknown daemon setting "${key}"`);
+        }
+        if (typeof daemon.statusFile !== 'string' || daemon.statusFile.length === 0) {
+            problems.push('daemon.statusFile must be a file path');
+        }
+        if (!isNumber(daemon.maxJobsPerWalletPerDay, { integer: true })) {
+            problems.push('daemon.maxJobsPerWalletPerDay must be a non-negative integer');
+        }
+        if (!Array.isArray(daemon.jobs)) {
+            problems.push('daemon.jobs must be a list');
+        } else {
+            const names = new Set();
+            daemon.jobs.forEach((job, i) => {
+                const at = `daemon.jobs[${i}]`;
+                if (!isObject(job)) {
+                    problems.push(`${at} must be an object`);
+                    return;
+                }
+                if (typeof job.name !== 'string' || job.name.length === 0) {
+                    problems.push(`${at}.name must be a non-empty string`);
+                } else if (names.has(job.name)) {
+                    problems.push(`${at}.name "${job.name}" is used by another job`);
+                }
+                names.add(job.name);
+                try {
+                    parseSchedule(job.schedule ?? '');
+                } catch (error) {
+                    problems.push(`${at}.schedule: ${error.problems?.join(', ') || error.message}`);
+                }
+                if (!DAEMON_COMMANDS.includes(job.command)) {
+                    problems.push(`${at}.command must be one of ${DAEMON_COMMANDS.join(', ')}`);
+                }
+                if (job.type !== undefined && (job.command !== 'interact' || !['token', 'nft'].includes(job.type))) {
+                    problems.push(`${at}.type only applies to interact and must be token or nft`);
+                }
+                if (job.count !== undefined && !isNumber(job.count, { integer: true })) {
+                    problems.push(`${at}.count must be a non-negative integer`);
+                }
+                if (job.wallets !== undefined && (!Array.isArray(job.wallets) || job.wallets.length === 0 ||
+                    job.wallets.some(w => !isNumber(w, { integer: true, min: 1 })))) {
+                    problems.push(`${at}.wallets must be a non-empty list of wallet numbers`);
+                }
+                if (job.reuse !== undefined && typeof job.reuse !== 'boolean') {
+                    problems.push(`${at}.reuse must be true or false`);
+                }
+                for (const key of ['mint', 'scenario']) {
+                    if (job[key] !== undefined && (typeof job[key] !== 'string' || job[key].length === 0)) {
+                        problems.push(`${at}.${key} must be a non-empty string`);
+                    }
+                }
+                if (job.mint !== undefined && (job.command !== 'interact' || job.type === 'nft' || job.reuse)) {
+                    problems.push(`${at}.mint only applies to token interact jobs without reuse`);
+                }
+                // Otherwise every firing deploys a new token or collection first, deploy-token does that on purpose
+                if (job.command === 'interact' && !job.reuse && job.mint === undefined) {
+                    problems.push(`${at}: a scheduled interact job needs "reuse": true or a mint, use deploy-token or deploy-nft to deploy`);
+                }
+            });
+        }
+    }
+
+    const logging = config.logging;
+    if (!isObject(logging)) {
+        problems.push('logging must be an object');
+    } else {
+        if (logging.file !== null && (typeof logging.file !== 'string' || logging.file.length === 0)) {
+            problems.push('logging.file must be a file path or null');
+        }
+        if (!LOG_LEVELS.includes(logging.level)) {
+            problems.push(`logging.level must be one of ${LOG_LEVELS.join(', ')}`);
+        }
+    }
+
+    const notifications = config.notifications;
+    if (!isObject(notifications)) {
+        problems.push('notifications must be an object');
+    } else {
+        for (const key of Object.keys(notifications)) {
+            if (!(key in DEFAULT_CONFIG.notifications)) problems.push(`unknown notifications setting "${key}"`);
+        }
+        if (notifications.webhook !== null && (typeof notifications.webhook !== 'string' || !/^https?:\/\//.test(notifications.webhook))) {
+            problems.push('notifications.webhook must be an http(s) URL or null');
+        }
+        if (!NOTIFICATION_FORMATS.includes(notifications.format)) {
+            problems.push(`notifications.format must be one of ${NOTIFICATION_FORMATS.join(', ')}`);
+        }
+        if (!Array.isArray(notifications.events) || notifications.events.some(event => !NOTIFICATION_EVENTS.includes(event))) {
+            problems.push(`notifications.events must be a list of ${NOTIFICATION_EVENTS.join(', ')}`);
+        }
+        if (!isNumber(notifications.timeoutMs, { integer: true, min: 1 })) {
+            problems.push('notifications.timeoutMs must be a positive number of milliseconds');
+        }
+    }
+
+    const settings = config.settings;
+    if (!isObject(settings)) {
+        problems.push('settings must be an object');
+    } else {
+        for (const key of Object.keys(settings)) {
+            if (!(key in DEFAULT_CONFIG.settings)) problems.push(`unknown setting "${key}"`);
+        }
+        if (!isNumber(settings.interactionCount, { integer: true })) {
+            problems.push('settings.interactionCount must be a non-negative integer');
+        }
+        if (!isNumber(settings.interactionInterval)) {
+            problems.push('settings.interactionInterval must be a non-negative number of minutes');
+        }
+        if (!isNumber(settings.minBalance)) {
+            problems.push('settings.minBalance must be a non-negative SOL amount');
+        }
+        if (!isNumber(settings.tokenDecimals, { integer: true, max: 255 })) {
+            problems.push('settings.tokenDecimals must be an integer between 0 and 255');
+        }
+        if (typeof settings.nftFolder !== 'string' || settings.nftFolder.length === 0) {
+            problems.push('settings.nftFolder must be a folder path');
+        }
+        if (!isNumber(settings.concurrency, { integer: true, min: 1 })) {
+            problems.push('settings.concurrency must be a positive integer');
+        }
+        if (settings.scenario !== null && (typeof settings.scenario !== 'string' || settings.scenario.length === 0)) {
+            problems.push('settings.scenario must be a scenario file path or null');
+        }
+    }
+
+    return problems;
+}
+
+// Reads the config file, filling anything it leaves out from the defaults.
+// A missing file is not an error, the defaults are used until settings are saved.
+export function loadConfig(file = CONFIG_FILE) {
+    let stored = {};
+    if (fs.existsSync(file)) {
+        try {
+            stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new ConfigError(`Invalid config ${file}`, [`not valid JSON (${error.message})`]);
+        }
+        if (!isObject(stored)) throw new ConfigError(`Invalid config ${file}`, ['top level must be an object']);
+    }
+
+    const config = {
+        ...DEFAULT_CONFIG,
+        ...stored,
+        networks: { ...DEFAULT_CONFIG.networks, ...stored.networks },
+        transactions: { ...DEFAULT_CONFIG.transactions, ...stored.transactions },
+        reports: { ...DEFAULT_CONFIG.reports, ...stored.reports },
+        storage: { ...DEFAULT_CONFIG.storage, ...stored.storage },
+        daemon: { ...DEFAULT_CONFIG.daemon, ...stored.daemon },
+        logging: { ...DEFAULT_CONFIG.logging, ...stored.logging },
+        notifications: { ...DEFAULT_CONFIG.notifications, ...stored.notifications },
+        settings: { ...DEFAULT_CONFIG.settings, ...stored.settings }
+    };
+
+    const problems = validateConfig(config);
+    if (problems.length > 0) throw new ConfigError(`Invalid config ${file}`, problems);
+
+    return config;
+}
+
+export function saveConfig(config, file = CONFIG_FILE) {
+    const problems = validateConfig(config);
+    if (problems.length > 0) throw new ConfigError(`Invalid config ${file}`, problems);
+    fs.writeFileSync(file, JSON.stringify(config, null, 4) + '\n');
+}
+
+export function getNetwork(config, name = config.network) {
+    const profile = config.networks[name];
+    if (!profile) {
+        throw new ConfigError(`Unknown network "${name}", available: ${Object.keys(config.networks).join(', ')}`);
+    }
+    return { name, explorerQuery: '', ...profile };
+}
+
+// An RPC URL fit for logs and reports: provider API keys sit in the credentials, the query string or a
+// long path segment, all of them are masked
+export function redactUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return url;
+    }
+    if (parsed.username || parsed.password) {
+        parsed.username = '***';
+        parsed.password = '';
+    }
+    parsed.pathname = parsed.pathname.split('/').map(part => (/^[\w-]{20,}$/.test(part) ? '***' : part)).join('/');
+    if (parsed.search) parsed.search = '?***';
+    const redacted = parsed.toString().replace(/%2A/g, '*');
+    // URL adds a / to a bare host
+    return !url.endsWith('/') && redacted.endsWith('/') ? redacted.slice(0, -1) : redacted;
+}
+
+// Explorer page for a transaction ('tx') or account ('address'), null when the network has no explorer
+export function explorerUrl(network, kind, value) {
+    if (!network.explorer) return null;
+    return `${network.explorer.replace(/\/$/, '')}/${kind}/${value}${network.explorerQuery ?? ''}`;
+}
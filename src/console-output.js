@@ -0,0 +1,75 @@
+/**
+ * Console output
+ * Prints a deployer's log and progress events the way the tool always looked: coloured lines
+ * and an ora spinner, or a line per event prefixed with `[#<wallet>]` while several wallets
+ * run at once.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { PrefixedLines } from './worker-pool.js';
+
+const LEVEL_COLORS = {
+    info: chalk.cyan,
+    success: chalk.green,
+    notice: chalk.yellow,
+    error: chalk.red,
+    detail: chalk.gray
+};
+
+const PROGRESS_COLORS = {
+    start: chalk.cyan,
+    update: chalk.green,
+    succeed: chalk.green,
+    fail: chalk.red,
+    warn: chalk.yellow
+};
+
+// stderr keeps stdout free for --json results. Returns a function that stops printing.
+export function attachConsoleOutput(deployer, { stderr = false } = {}) {
+    const write = (line) => (stderr ? console.error(line) : console.log(line));
+    const spinner = ora();
+    // One PrefixedLines per wallet while a parallel run is going
+    let lanes = null;
+
+    const laneFor = (walletIndex) => {
+        if (!lanes || walletIndex === null) return null;
+        if (!lanes.has(walletIndex)) lanes.set(walletIndex, new PrefixedLines(chalk.magenta(`[#${walletIndex}]`), write));
+        return lanes.get(walletIndex);
+    };
+
+    const onLog = ({ level, message, walletIndex }) => {
+        const color = LEVEL_COLORS[level] ?? (text => text);
+        const lane = laneFor(walletIndex);
+        if (lane) lane.line('', color(message.replace(/^\n+|\n+$/g, '')));
+        else write(color(message));
+    };
+
+    const onProgress = ({ status, text, walletIndex }) => {
+        const colored = (PROGRESS_COLORS[status] ?? (t => t))(text);
+        const target = laneFor(walletIndex) ?? spinner;
+        if (status === 'start') target.start(colored);
+        else if (status === 'update') target.text = colored;
+        else target[status](colored);
+    };
+
+    const onRunStart = ({ concurrency }) => {
+        lanes = concurrency > 1 ? new Map() : null;
+    };
+    const onRunDone = () => {
+        lanes = null;
+    };
+
+    deployer.on('log', onLog);
+    deployer.on('progress', onProgress);
+    deployer.on('run:start', onRunStart);
+    deployer.on('run:done', onRunDone);
+
+    return () => {
+        spinner.stop();
+        deployer.off('log', onLog);
+        deployer.off('progress', onProgress);
+        deployer.off('run:start', onRunStart);
+        deployer.off('run:done', onRunDone);
+    };
+}
@@ -0,0 +1,284 @@
+/**
+ * Daemon mode
+ * Runs the config's daemon jobs (deploy-token, deploy-nft or interact runs) on their cron
+ * schedules until stopped. A job fires at its scheduled minute or not at all: windows missed
+ * while the machine slept or another job was running are recorded, never caught up. Wallets
+ * that took part in maxJobsPerWalletPerDay jobs today sit out until tomorrow. A status file
+ * shows what runs next and how the last jobs went.
+ */
+
+import fs from 'fs';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { parseSchedule, nextRun } from './schedule.js';
+import { ConfigError } from './config.js';
+
+// A job runs when the daemon wakes within its scheduled minute
+const WINDOW_MS = 60 * 1000;
+
+// Long waits are cut up so a changed system clock is noticed within the hour
+const MAX_WAIT_MS = 60 * 60 * 1000;
+
+// Job results kept in the status file
+const MAX_RESULTS = 50;
+
+// Days of per-wallet job counts kept in the status file
+const MAX_COUNT_DAYS = 7;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// The calendar day in local time, the day the cron schedules count in
+export const localDay = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const emptyStatus = () => ({
+    version: 1,
+    pid: null,
+    state: 'stopped',
+    startedAt: null,
+    updatedAt: null,
+    current: null,
+    next: null,
+    upcoming: [],
+    jobsPerWallet: {},
+    results: []
+});
+
+// Ends early when `signal` aborts
+const sleep = (ms, signal) => new Promise(resolve => {
+    const done = () => {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', done);
+        resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal.addEventListener('abort', done);
+});
+
+const waitUntil = async (date, signal) => {
+    while (!signal.aborted && Date.now() < date.getTime()) {
+        await sleep(Math.min(date.getTime() - Date.now(), MAX_WAIT_MS), signal);
+    }
+};
+
+// The status file, written to a temporary file first like the run state. Job counts and results
+// survive a restart, so the daily cap holds across them.
+export class DaemonStatus {
+    constructor(file) {
+        this.file = file;
+        this.data = emptyStatus();
+        if (fs.existsSync(file)) {
+            try {
+                this.data = { ...emptyStatus(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+            } catch (error) {
+                throw new Error(`Daemon status file ${file} is not valid JSON (${error.message}), move it away to start fresh`);
+            }
+        }
+    }
+
+    update(changes) {
+        Object.assign(this.data, changes, { updatedAt: new Date().toISOString() });
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmp, this.file);
+    }
+
+    jobsToday(walletIndex, day) {
+        return this.data.jobsPerWallet[day]?.[walletIndex] ?? 0;
+    }
+
+    countJob(walletIndexes, day) {
+        const counts = { ...this.data.jobsPerWallet[day] };
+        walletIndexes.forEach(index => { counts[index] = (counts[index] ?? 0) + 1; });
+        const days = Object.keys({ ...this.data.jobsPerWallet, [day]: counts }).sort().slice(-MAX_COUNT_DAYS);
+        this.update({
+            jobsPerWallet: Object.fromEntries(days.map(d => [d, d === day ? counts : this.data.jobsPerWallet[d]]))
+        });
+    }
+
+    addResult(result) {
+        this.update({ results: [...this.data.results, result].slice(-MAX_RESULTS) });
+    }
+}
+
+export class Daemon {
+    // options override the config's daemon section: jobs, statusFile, maxJobsPerWalletPerDay
+    constructor(deployer, options = {}) {
+        const config = { ...deployer.config.daemon, ...options };
+        this.deployer = deployer;
+        this.jobs = config.jobs;
+        this.maxJobsPerWalletPerDay = config.maxJobsPerWalletPerDay;
+        this.status = new DaemonStatus(config.statusFile);
+    }
+
+    // Runs until `signal` aborts. A job in progress finishes its current transaction, then its run is
+    // left unfinished (`resume` continues it) and the daemon exits.
+    async run(signal) {
+        if (this.jobs.length === 0) throw new ConfigError('No daemon jobs configured, add them to daemon.jobs in the config');
+        const schedules = this.jobs.map(job => ({ job, schedule: parseSchedule(job.schedule) }));
+        const onAbort = () => {
+            this.deployer.log('notice', '\n⏹️  Stopping, the job in progress finishes its current transaction first');
+            this.status.update({ state: 'stopping' });
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        this.status.update({ pid: process.pid, state: 'waiting', startedAt: new Date().toISOString(), current: null });
+        this.deployer.log('info', `\n🕒 Daemon started with ${this.jobs.length} jobs, status in ${this.status.file}`);
+
+        let cursor = new Date();
+        try {
+            while (!signal.aborted) {
+                const upcoming = schedules
+                    .map(entry => ({ ...entry, at: nextRun(entry.schedule, cursor) }))
+                    .sort((a, b) => a.at - b.at);
+                const at = upcoming[0].at;
+                const due = upcoming.filter(entry => entry.at.getTime() === at.getTime());
+                this.status.update({
+                    state: 'waiting',
+                    current: null,
+                    next: { jobs: due.map(entry => entry.job.name), at: at.toISOString() },
+                    upcoming: upcoming.map(entry => ({ job: entry.job.name, schedule: entry.job.schedule, at: entry.at.toISOString() }))
+                });
+                this.deployer.log('info', `⏰ Next: ${due.map(entry => entry.job.name).join(', ')} at ${at.toLocaleString()}`);
+
+                await waitUntil(at, signal);
+                if (signal.aborted) break;
+                cursor = at;
+
+                if (Date.now() - at.getTime() >= WINDOW_MS) {
+                    this.recordMissed(due.map(entry => entry.job), at, 'the daemon was not awake at the scheduled minute');
+                    continue;
+                }
+                for (const { job } of due) {
+                    if (signal.aborted) break;
+                    await this.runJob(job, at, signal);
+                }
+
+                // Windows that passed while the jobs ran are recorded as missed, not caught up
+                const now = new Date();
+                for (const { job, schedule } of schedules) {
+                    let missed = 0;
+                    for (let next = nextRun(schedule, at); next <= now && missed < 100; next = nextRun(schedule, next)) missed++;
+                    if (missed > 0) this.recordMissed([job], at, `${missed} window${missed > 1 ? 's' : ''} passed while jobs ran`);
+                }
+                if (now > cursor) cursor = now;
+            }
+        } finally {
+            signal.removeEventListener('abort', onAbort);
+            this.status.update({ state: 'stopped', pid: null, current: null, next: null, upcoming: [] });
+            this.deployer.log('info', '🛑 Daemon stopped');
+        }
+    }
+
+    // The job's wallets that are loaded and below today's cap
+    eligibleWallets(job, day) {
+        const wallets = this.deployer.wallets
+            .map(wallet => wallet.index)
+            .filter(index => !job.wallets || job.wallets.includes(index));
+        if (!this.maxJobsPerWalletPerDay) return wallets;
+        return wallets.filter(index => this.status.jobsToday(index, day) < this.maxJobsPerWalletPerDay);
+    }
+
+    async runJob(job, scheduledAt, signal) {
+        const startedAt = new Date();
+        const result = { job: job.name, command: job.command, scheduledAt: scheduledAt.toISOString(), startedAt: startedAt.toISOString() };
+        const day = localDay(startedAt);
+        const walletIndexes = this.eligibleWallets(job, day);
+
+        if (walletIndexes.length === 0) {
+            this.deployer.log('notice', `⏭️  ${job.name}: every wallet has had ${this.maxJobsPerWalletPerDay} jobs today, skipped`);
+            this.status.addResult({ ...result, finishedAt: startedAt.toISOString(), status: 'skipped', reason: 'daily job limit reached for every wallet' });
+            return;
+        }
+
+        this.status.update({ state: 'running', current: { ...result, wallets: walletIndexes } });
+        this.deployer.log('info', `\n▶️  ${job.name}: ${job.command} with wallets ${walletIndexes.map(i => `#${i}`).join(', ')}`);
+
+        // Only wallets that took part count against the daily cap, not ones skipped for a low balance
+        const ran = [];
+        const onWalletDone = ({ walletIndex, status }) => {
+            if (status !== 'skipped') ran.push(walletIndex);
+        };
+        this.deployer.on('wallet:done', onWalletDone);
+        try {
+            const run = await this.deployer.runDeployment({
+                type: job.command === 'deploy-nft' || job.type === 'nft' ? 'nft' : 'token',
+                interactionCount: job.command === 'interact' ? job.count ?? this.deployer.settings.interactionCount : 0,
+                walletIndexes,
+                reuse: job.reuse,
+                mint: job.mint,
+                scenario: job.scenario,
+                signal
+            });
+            const { files } = this.deployer.saveReport(run);
+            this.status.addResult({
+                ...result,
+                finishedAt: new Date().toISOString(),
+                status: run.run.status === 'stopped' ? 'stopped' : run.failures.length > 0 ? 'failed' : 'completed',
+                runId: run.run.id,
+                wallets: walletIndexes,
+                deployments: run.deployments.length,
+                interactions: run.interactions.length,
+                failures: run.failures.length,
+                report: files.json
+            });
+        } catch (error) {
+            this.deployer.log('error', `❌ ${job.name} failed: ${error.message}`);
+            this.status.addResult({ ...result, finishedAt: new Date().toISOString(), status: 'error', wallets: walletIndexes, error: error.message });
+        } finally {
+            this.deployer.off('wallet:done', onWalletDone);
+            if (ran.length > 0) this.status.countJob(ran, day);
+        }
+    }
+
+    recordMissed(jobs, scheduledAt, reason) {
+        for (const job of jobs) {
+            this.deployer.log('notice', `⚠️  ${job.name}: missed, ${reason}`);
+            this.status.addResult({ job: job.name, command: job.command, scheduledAt: scheduledAt.toISOString(), status: 'missed', reason });
+        }
+    }
+}
+
+export function readDaemonStatus(file) {
+    return new DaemonStatus(file).data;
+}
+
+const STATUS_COLORS = { completed: chalk.green, failed: chalk.yellow, stopped: chalk.yellow, skipped: chalk.gray, missed: chalk.gray, error: chalk.red };
+
+export function renderDaemonStatus(status, { results = 10 } = {}) {
+    const lines = [
+        `State: ${status.state}${status.pid ? ` (pid ${status.pid})` : ''}${status.updatedAt ? `, updated ${new Date(status.updatedAt).toLocaleString()}` : ''}`
+    ];
+    if (status.current) {
+        lines.push(`Running: ${status.current.job} since ${new Date(status.current.startedAt).toLocaleString()}, wallets ${status.current.wallets.map(i => `#${i}`).join(', ')}`);
+    }
+    if (status.next) {
+        lines.push(`Next: ${status.next.jobs.join(', ')} at ${new Date(status.next.at).toLocaleString()}`);
+    }
+
+    if (status.upcoming.length > 0) {
+        const upcoming = new Table({ head: ['Job', 'Schedule', 'Next run'].map(h => chalk.yellow(h)) });
+        status.upcoming.forEach(entry => upcoming.push([entry.job, entry.schedule, new Date(entry.at).toLocaleString()]));
+        lines.push(upcoming.toString());
+    }
+
+    const recent = status.results.slice(-results).reverse();
+    if (recent.length > 0) {
+        const table = new Table({ head: ['Job', 'Scheduled', 'Status', 'Wallets', 'Deployments', 'Interactions', 'Failures', 'Report'].map(h => chalk.yellow(h)) });
+        for (const result of recent) {
+            const color = STATUS_COLORS[result.status] ?? (text => text);
+            table.push([
+                result.job,
+                new Date(result.scheduledAt).toLocaleString(),
+                color(result.reason || result.error ? `${result.status}: ${result.reason ?? result.error}` : result.status),
+                result.wallets?.map(i => `#${i}`).join(', ') ?? '-',
+                result.deployments ?? '-',
+                result.interactions ?? '-',
+                result.failures ?? '-',
+                result.report ?? '-'
+            ]);
+        }
+        lines.push(`Last ${recent.length} jobs:`, table.toString());
+    } else {
+        lines.push('No jobs have run yet');
+    }
+    return lines.join('\n');
+}
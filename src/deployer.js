@@ -0,0 +1,2090 @@
+/**
+ * Deployment engine
+ * Everything the tool does to wallets, tokens and NFT collections, without any terminal I/O:
+ * progress is reported as events (see index.js for their payloads) and questions go through
+ * the hooks passed to the constructor. The menu and the headless commands are consumers.
+ */
+
+import {
+    Connection,
+    PublicKey,
+    Keypair,
+    Transaction,
+    SystemProgram
+} from '@solana/web3.js';
+import {
+    TOKEN_PROGRAM_ID,
+    TOKEN_2022_PROGRAM_ID,
+    ExtensionType,
+    TYPE_SIZE,
+    LENGTH_SIZE,
+    createInitializeMintInstruction,
+    createInitializeTransferFeeConfigInstruction,
+    createInitializeInterestBearingMintInstruction,
+    createInitializeNonTransferableMintInstruction,
+    createInitializeMetadataPointerInstruction,
+    createInitializePermanentDelegateInstruction,
+    createAssociatedTokenAccountInstruction,
+    createAssociatedTokenAccountIdempotentInstruction,
+    createCloseAccountInstruction,
+    createMintToCheckedInstruction,
+    createTransferCheckedInstruction,
+    createTransferCheckedWithFeeInstruction,
+    createBurnCheckedInstruction,
+    createSetAuthorityInstruction,
+    createFreezeAccountInstruction,
+    createThawAccountInstruction,
+    createApproveCheckedInstruction,
+    createRevokeInstruction,
+    AuthorityType,
+    calculateEpochFee,
+    getEpochFee,
+    calculateFee,
+    getAssociatedTokenAddress,
+    getAssociatedTokenAddressSync,
+    getAccount,
+    getAccountLenForMint,
+    getExtensionTypes,
+    getMint,
+    getMintLen,
+    getTransferFeeConfig,
+    TokenAccountNotFoundError,
+    TokenInvalidAccountOwnerError
+} from '@solana/spl-token';
+import {
+    createInitializeInstruction as createInitializeTokenMetadataInstruction,
+    pack as packTokenMetadata
+} from '@solana/spl-token-metadata';
+import {
+    Metaplex,
+    keypairIdentity,
+    bundlrStorage,
+    toMetaplexFile
+} from '@metaplex-foundation/js';
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { loadNftAssets } from './nft-assets.js';
+import {
+    parseTokenOptions,
+    describeTokenOptions,
+    serializeTokenOptions,
+    deserializeTokenOptions,
+    TOKEN_PROGRAMS
+} from './token-options.js';
+import { StateStore } from './state.js';
+import { Keystore, KeystoreError, parseKeySource } from './keystore.js';
+import { TransactionSender } from './transaction-sender.js';
+import { DryRunSender, summarizeDryRun } from './dry-run.js';
+import { parseScenario, loadScenario, defaultScenario, scenarioStep, randomSeed, ScenarioError } from './scenario.js';
+import { ACCOUNTS_PER_REQUEST, tokenHolding, buildSnapshot } from './balances.js';
+import { limiterFor } from './rate-limiter.js';
+import { runPool, withWallet, currentWallet } from './worker-pool.js';
+import { JsonLog, attachJsonLog } from './logger.js';
+import { WebhookNotifier, attachNotifications } from './notifications.js';
+import {
+    buildReport,
+    writeReport,
+    renderReport,
+    listReports,
+    readReport,
+    byWallet
+} from './reports.js';
+import {
+    planFunding,
+    planTokenAccount,
+    planSweep,
+    sol,
+    toLamports,
+    TRANSFERS_PER_TRANSACTION,
+    TOKEN_ACCOUNTS_PER_TRANSACTION
+} from './funds.js';
+import {
+    parseRecipients,
+    readSentRows,
+    resultFileFor,
+    planDistribution,
+    writeDistributionResults,
+    DistributionError,
+    RECIPIENTS_PER_TRANSACTION
+} from './distribution.js';
+import { loadConfig, saveConfig, getNetwork, explorerUrl, redactUrl, CONFIG_FILE } from './config.js';
+
+// TokenStandard.Fungible in mpl-token-metadata, which the Metaplex SDK does not re-export
+const TOKEN_STANDARD_FUNGIBLE = 2;
+
+// getAccount's errors for an account that is not there, anything else (an RPC failure) is rethrown
+const isMissingAccount = (error) => error instanceof TokenAccountNotFoundError || error instanceof TokenInvalidAccountOwnerError;
+
+// Ends early when `signal` aborts
+const sleep = (ms, signal) => new Promise(resolve => {
+    const done = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', done);
+        resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done);
+});
+
+export class SonicDeployer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.configFile = options.configFile || CONFIG_FILE;
+        this.config = options.config || loadConfig(this.configFile);
+        this.keysFile = options.keysFile || this.config.keysFile;
+        // An explicit key file wins over the keystore
+        this.keysFileOverride = Boolean(options.keysFile);
+        this.keystore = new Keystore(options.keystoreFile || this.config.keystoreFile);
+        this.passphrase = options.passphrase ?? process.env.SONIC_KEYSTORE_PASSPHRASE ?? null;
+        // Hooks the caller answers: the keystore passphrase and what to do after a wallet fails
+        this.promptPassphrase = options.promptPassphrase ?? null;
+        this.afterWalletFailure = options.afterWalletFailure ?? null;
+        this.sendOptions = { ...this.config.transactions, ...options.transactions };
+        this.rateLimit = options.rateLimit;
+        // The JSON lines log and the webhook, attached before anything is emitted
+        const logging = { ...this.config.logging };
+        if (options.logFile !== undefined) logging.file = options.logFile;
+        if (options.logLevel) logging.level = options.logLevel;
+        if (logging.file) {
+            this.jsonLog = new JsonLog(logging.file, { level: logging.level });
+            attachJsonLog(this, this.jsonLog);
+        }
+        const notifications = { ...this.config.notifications };
+        if (options.webhook !== undefined) notifications.webhook = options.webhook;
+        if (notifications.webhook) {
+            this.notifications = new WebhookNotifier(notifications, {
+                onError: (event, error) => this.log('error', `❌ Webhook notification "${event}" failed: ${error.message}`)
+            });
+            attachNotifications(this, this.notifications);
+        }
+        this.useNetwork(options.network || this.config.network, options.rpc);
+        this.deployments = [];
+        this.interactions = [];
+        // Metadata URIs already uploaded this session, keyed by asset file
+        this.uploadedUris = new Map();
+        this.state = new StateStore(options.stateFile || this.config.stateFile);
+        this.settings = { ...this.config.settings };
+        if (options.interactionCount !== undefined) {
+            this.settings.interactionCount = options.interactionCount;
+        }
+        if (options.interactionInterval !== undefined) {
+            this.settings.interactionInterval = options.interactionInterval;
+        }
+        if (options.concurrency !== undefined) {
+            this.settings.concurrency = options.concurrency;
+        }
+    }
+
+    // Points the connection at a network profile, an explicit RPC URL wins over the profile's
+    useNetwork(name, rpc) {
+        this.network = getNetwork(this.config, name);
+        this.rpcUrl = rpc || this.network.rpc;
+        // Requests per second allowed by the endpoint, shared by every wallet using it
+        const limiter = limiterFor(this.rpcUrl, this.rateLimit ?? this.network.rateLimit ?? 0);
+        this.connection = new Connection(this.rpcUrl, {
+            commitment: 'confirmed',
+            fetch: (input, init) => this.rpcFetch(input, init),
+            fetchMiddleware: limiter.middleware
+        });
+        this.sender = this.watchSender(new TransactionSender(this.connection, this.sendOptions));
+        this.metaplex = new Metaplex(this.connection);
+        // Per-wallet Metaplex clients are bound to the old connection
+        this.wallets?.forEach(wallet => { wallet.metaplex = null; });
+        // The URL may carry a provider API key, listeners write it to logs
+        this.emit('network', { name: this.network.name, rpcUrl: redactUrl(this.rpcUrl) });
+    }
+
+    // The connection's fetch, every JSON-RPC request becomes an `rpc` event with its method and timing
+    async rpcFetch(input, init) {
+        let method = null;
+        try {
+            const body = JSON.parse(init.body);
+            method = Array.isArray(body) ? body.map(request => request.method) : body.method;
+        } catch {
+            // Not a JSON-RPC body, logged without a method
+        }
+        const walletIndex = currentWallet();
+        const started = Date.now();
+        try {
+            const response = await fetch(input, init);
+            this.emit('rpc', { method, status: response.status, durationMs: Date.now() - started, walletIndex, error: null });
+            return response;
+        } catch (error) {
+            this.emit('rpc', { method, status: null, durationMs: Date.now() - started, walletIndex, error: error.message });
+            throw error;
+        }
+    }
+
+    // Re-emits a sender's `transaction` and `retry` events with the wallet they belong to
+    watchSender(sender) {
+        sender.on('transaction', (tx) => this.emit('transaction', { ...tx, walletIndex: currentWallet() }));
+        sender.on('retry', (retry) => this.emit('retry', { ...retry, walletIndex: currentWallet() }));
+        return sender;
+    }
+
+    // Writes the current settings and network back to the config file
+    saveSettings() {
+        this.config.settings = { ...this.settings };
+        this.config.network = this.network.name;
+        saveConfig(this.config, this.configFile);
+    }
+
+    // level: info, success, notice, error or detail. Inside a run, walletIndex says which wallet it is about.
+    log(level, message) {
+        this.emit('log', { level, message, walletIndex: currentWallet() });
+    }
+
+    // A long step of one wallet: start, update, then succeed, warn or fail
+    progress(status, text) {
+        this.emit('progress', { status, text, walletIndex: currentWallet() });
+    }
+
+    // Loads the wallets from the keystore or key file and what was deployed with them before
+    async init() {
+        let entries;
+        try {
+            entries = await this.loadKeypairs();
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            throw new KeystoreError(`${this.keysFile} not found and there is no keystore (${this.keystore.file}), ` +
+                'import keys with the wallet manager or `node deploy.js keys import <file>`');
+        }
+
+        this.wallets = entries.map(({ keypair, label }, index) => ({
+            index: index + 1,
+            label: label ?? null,
+            keypair,
+            publicKey: keypair.publicKey,
+            tokenAccounts: new Map(),
+            nftAccounts: new Map(),
+            metaplex: null
+        }));
+
+        if (this.wallets.length === 0) {
+            throw new KeystoreError('No wallets found, import keys with the wallet manager or `node deploy.js keys import <file>`');
+        }
+
+        this.log('success', `✅ Loaded ${this.wallets.length} wallets successfully`);
+        this.log('info', `🌐 Network: ${this.network.name} (${redactUrl(this.rpcUrl)})`);
+        this.restoreDeployments();
+        return this.wallets;
+    }
+
+    // Keypairs from the encrypted keystore, or from a plaintext key file when there is no keystore
+    // or --keys names one. A plaintext file may hold base58 keys, a Solana CLI keypair or a mnemonic.
+    async loadKeypairs() {
+        if (this.keystore.exists && !this.keysFileOverride) {
+            await this.unlockKeystore();
+            return this.keystore.keypairs();
+        }
+
+        const entries = parseKeySource(fs.readFileSync(this.keysFile, 'utf8'), this.keysFile);
+        this.log('notice', `⚠️  Keys in ${this.keysFile} are not encrypted, move them to the keystore with \`node deploy.js keys import ${this.keysFile}\``);
+        return entries;
+    }
+
+    // The passphrase comes from the options or the environment, otherwise from the promptPassphrase
+    // hook: once for a new keystore, up to three attempts for an existing one
+    async unlockKeystore() {
+        if (this.keystore.unlocked) return;
+
+        if (this.passphrase) {
+            await this.keystore.unlock(this.passphrase);
+            return;
+        }
+
+        const locked = `Keystore ${this.keystore.file} is locked, set SONIC_KEYSTORE_PASSPHRASE or pass --passphrase-file`;
+        const create = !this.keystore.exists;
+        for (let attempt = 1; ; attempt++) {
+            const passphrase = await this.promptPassphrase?.({ file: this.keystore.file, create, attempt });
+            if (!passphrase) throw new KeystoreError(locked);
+            if (create && passphrase.length < 8) throw new KeystoreError('Passphrase must be at least 8 characters');
+            try {
+                await this.keystore.unlock(passphrase);
+                return;
+            } catch (error) {
+                if (create || attempt === 3) throw error;
+                this.log('error', `❌ ${error.message}`);
+            }
+        }
+    }
+
+    // Parses, encrypts and stores keys, returns { added, skipped } public keys
+    async importKeys(text, name, { label, derivationPaths } = {}) {
+        const entries = parseKeySource(text, name, { derivationPaths });
+        await this.unlockKeystore();
+        const result = this.keystore.add(entries, { label });
+        this.keystore.save();
+        return result;
+    }
+
+    async deployToken(wallet, tokenOptions = this.defaultTokenOptions()) {
+        this.progress('start', `🪙 Creating token with wallet #${wallet.index}...`);
+        try {
+            const { decimals, supply, mintAuthority, freezeAuthority, programId, extensions } = tokenOptions;
+            const isToken2022 = tokenOptions.program === 'token-2022';
+            const freezeAuthorityKey = freezeAuthority.mode === 'keep' ? wallet.publicKey
+                : freezeAuthority.mode === 'transfer' ? freezeAuthority.address
+                : null;
+
+            // Create mint account
+            const mint = Keypair.generate();
+            const extensionInstructions = this.buildMintExtensionInstructions(wallet, mint.publicKey, extensions);
+            const space = getMintLen(extensionInstructions.map(e => e.type));
+
+            // In-mint metadata is reallocated by the token program, but the rent has to be there up front
+            const inMintMetadata = isToken2022 && tokenOptions.name ? {
+                mint: mint.publicKey,
+                name: tokenOptions.name,
+                symbol: tokenOptions.symbol,
+                uri: tokenOptions.uri,
+                additionalMetadata: []
+            } : null;
+            const metadataSpace = inMintMetadata ? TYPE_SIZE + LENGTH_SIZE + packTokenMetadata(inMintMetadata).length : 0;
+            const lamports = await this.connection.getMinimumBalanceForRentExemption(space + metadataSpace);
+            
+            const transaction = new Transaction().add(
+                SystemProgram.createAccount({
+                    fromPubkey: wallet.publicKey,
+                    newAccountPubkey: mint.publicKey,
+                    space,
+                    lamports,
+                    programId,
+                }),
+                // Extensions must be initialized before the mint itself
+                ...extensionInstructions.map(e => e.instruction),
+                // The wallet keeps mint authority until metadata and supply are in place
+                createInitializeMintInstruction(
+                    mint.publicKey,
+                    decimals,
+                    wallet.publicKey,
+                    freezeAuthorityKey,
+                    programId
+                )
+            );
+
+            if (inMintMetadata) {
+                transaction.add(
+                    createInitializeTokenMetadataInstruction({
+                        programId,
+                        metadata: mint.publicKey,
+                        updateAuthority: wallet.publicKey,
+                        mint: mint.publicKey,
+                        mintAuthority: wallet.publicKey,
+                        name: inMintMetadata.name,
+                        symbol: inMintMetadata.symbol,
+                        uri: inMintMetadata.uri
+                    })
+                );
+            }
+
+            const transactions = [];
+            transactions.push(await this.sender.send(transaction, [wallet.keypair, mint]));
+
+            // Create associated token account
+            const associatedTokenAccount = await getAssociatedTokenAddress(
+                mint.publicKey,
+                wallet.publicKey,
+                false,
+                programId
+            );
+
+            const createATAtx = new Transaction().add(
+                createAssociatedTokenAccountInstruction(
+                    wallet.publicKey,
+                    associatedTokenAccount,
+                    wallet.publicKey,
+                    mint.publicKey,
+                    programId
+                )
+            );
+
+            if (supply > 0n) {
+                this.progress('update', `🪙 Minting initial supply of ${supply} base units...`);
+                createATAtx.add(
+                    createMintToCheckedInstruction(
+                        mint.publicKey,
+                        associatedTokenAccount,
+                        wallet.publicKey,
+                        supply,
+                        decimals,
+                        [],
+                        programId
+                    )
+                );
+            }
+
+            transactions.push(await this.sender.send(createATAtx, [wallet.keypair]));
+
+            // Attach Metaplex metadata so explorers show name and symbol, Token-2022 mints carry it in-mint
+            let metadataAddress = inMintMetadata ? mint.publicKey.toBase58() : null;
+            if (tokenOptions.name && !inMintMetadata) {
+                this.progress('update', `🏷️  Adding metadata for ${tokenOptions.name}...`);
+                const builder = await this.metaplexFor(wallet).nfts().builders().createSft({
+                    useExistingMint: mint.publicKey,
+                    name: tokenOptions.name,
+                    symbol: tokenOptions.symbol,
+                    uri: tokenOptions.uri,
+                    sellerFeeBasisPoints: 0,
+                    decimals,
+                    tokenStandard: TOKEN_STANDARD_FUNGIBLE
+                });
+                metadataAddress = builder.getContext().metadataAddress.toBase58();
+                transactions.push(await this.sender.send(builder.getInstructions(), [wallet.keypair]));
+            }
+
+            if (mintAuthority.mode !== 'keep') {
+                this.progress('update', '🔑 Updating mint authority...');
+                const authorityTx = new Transaction().add(
+                    createSetAuthorityInstruction(
+                        mint.publicKey,
+                        wallet.publicKey,
+                        AuthorityType.MintTokens,
+                        mintAuthority.mode === 'transfer' ? mintAuthority.address : null,
+                        [],
+                        programId
+                    )
+                );
+                transactions.push(await this.sender.send(authorityTx, [wallet.keypair]));
+            }
+
+            const canMint = mintAuthority.mode === 'keep';
+            const canTransfer = !extensions.nonTransferable;
+            wallet.tokenAccounts.set(mint.publicKey.toBase58(), {
+                mint: mint.publicKey,
+                account: associatedTokenAccount,
+                programId,
+                decimals,
+                canMint,
+                canTransfer,
+                transferFee: extensions.transferFee ?? null
+            });
+
+            this.state.recordToken({
+                address: mint.publicKey.toBase58(),
+                owner: wallet.publicKey.toBase58(),
+                walletIndex: wallet.index,
+                network: this.network.name,
+                createdAt: new Date().toISOString(),
+                tokenAccount: associatedTokenAccount.toBase58(),
+                program: tokenOptions.program,
+                decimals,
+                name: tokenOptions.name,
+                symbol: tokenOptions.symbol,
+                metadata: metadataAddress,
+                canMint,
+                canTransfer,
+                signatures: transactions.map(tx => tx.signature)
+            });
+
+            this.progress('succeed', `✅ Token created: ${mint.publicKey.toBase58()} (${describeTokenOptions(tokenOptions)})`);
+            return {
+                address: mint.publicKey.toBase58(),
+                tokenAccount: associatedTokenAccount.toBase58(),
+                program: tokenOptions.program,
+                metadata: metadataAddress,
+                canMint,
+                canTransfer,
+                transactions
+            };
+
+        } catch (error) {
+            this.progress('fail', `❌ Failed to create token: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // Token-2022 extension init instructions paired with their extension type for sizing the mint
+    buildMintExtensionInstructions(wallet, mint, extensions) {
+        const programId = TOKEN_2022_PROGRAM_ID;
+        const built = [];
+
+        if (extensions.transferFee) {
+            built.push({
+                type: ExtensionType.TransferFeeConfig,
+                instruction: createInitializeTransferFeeConfigInstruction(
+                    mint,
+                    wallet.publicKey,
+                    wallet.publicKey,
+                    extensions.transferFee.basisPoints,
+                    extensions.transferFee.maxFee,
+                    programId
+                )
+            });
+        }
+        if (extensions.interestRate !== undefined) {
+            built.push({
+                type: ExtensionType.InterestBearingConfig,
+                instruction: createInitializeInterestBearingMintInstruction(mint, wallet.publicKey, extensions.interestRate, programId)
+            });
+        }
+        if (extensions.nonTransferable) {
+            built.push({
+                type: ExtensionType.NonTransferable,
+                instruction: createInitializeNonTransferableMintInstruction(mint, programId)
+            });
+        }
+        if (extensions.metadataPointer) {
+            built.push({
+                type: ExtensionType.MetadataPointer,
+                instruction: createInitializeMetadataPointerInstruction(mint, wallet.publicKey, mint, programId)
+            });
+        }
+        if (extensions.permanentDelegate) {
+            const delegate = extensions.permanentDelegate.self ? wallet.publicKey : extensions.permanentDelegate.address;
+            built.push({
+                type: ExtensionType.PermanentDelegate,
+                instruction: createInitializePermanentDelegateInstruction(mint, delegate, programId)
+            });
+        }
+
+        return built;
+    }
+
+    defaultTokenOptions() {
+        return parseTokenOptions({}, { decimals: this.settings.tokenDecimals });
+    }
+
+    // Where a transfer goes, or who an action is aimed at: a wallet number, an outside address, the
+    // next wallet in turn (round-robin, step.turn counts the wallet's round-robin steps), a random
+    // wallet or the wallet itself (self). Returns { publicKey, label, wallet } for loaded wallets.
+    resolveTransferTarget(wallet, step, { others = false } = {}) {
+        const { target = 'random', rng, turn = 0 } = step;
+        if (target === 'self') {
+            return { publicKey: wallet.publicKey, label: `wallet #${wallet.index}`, wallet };
+        }
+        if (Number.isInteger(target)) {
+            const targetWallet = this.wallets.find(w => w.index === target);
+            if (!targetWallet) throw new Error(`no wallet #${target} is loaded`);
+            return { publicKey: targetWallet.publicKey, label: `wallet #${target}`, wallet: targetWallet };
+        }
+        if (target !== 'random' && target !== 'round-robin') {
+            const publicKey = new PublicKey(target);
+            const targetWallet = this.wallets.find(w => w.publicKey.equals(publicKey));
+            return { publicKey, label: targetWallet ? `wallet #${targetWallet.index}` : target, wallet: targetWallet ?? null };
+        }
+
+        // Round-robin starts with the wallet after this one
+        const after = this.wallets.filter(w => w.index > wallet.index);
+        const before = this.wallets.filter(w => w.index < wallet.index);
+        const candidates = target === 'round-robin' || others ? [...after, ...before] : this.wallets;
+        if (candidates.length === 0) throw new Error('at least two wallets are needed');
+        const targetWallet = target === 'round-robin' ? candidates[turn % candidates.length] : rng.pick(candidates);
+        return { publicKey: targetWallet.publicKey, label: `wallet #${targetWallet.index}`, wallet: targetWallet };
+    }
+
+    // A token account as it is on-chain. Accounts a dry run would create do not exist yet and give null.
+    async readTokenAccount(address, programId, verb) {
+        address = new PublicKey(address);
+        if (this.sender.created?.has(address.toBase58())) return null;
+        try {
+            return await getAccount(this.connection, address, 'confirmed', programId);
+        } catch (error) {
+            if (!isMissingAccount(error)) throw error;
+            throw new Error(`cannot ${verb}, token account ${address.toBase58()} was not found`);
+        }
+    }
+
+    // The mint as it is on-chain, null for a mint a dry run would create
+    async readMint(tokenInfo) {
+        const mint = new PublicKey(tokenInfo.mint);
+        if (this.sender.created?.has(mint.toBase58())) return null;
+        return getMint(this.connection, mint, 'confirmed', tokenInfo.programId);
+    }
+
+    // Burns and transfers are refused before sending when the token account is frozen or holds less
+    // than the amount. Returns the account, null when a dry run would create it.
+    async checkTokenBalance(tokenInfo, amount, verb) {
+        const account = await this.readTokenAccount(tokenInfo.account, tokenInfo.programId, verb);
+        if (!account) return null;
+        if (account.isFrozen) throw new Error(`cannot ${verb}, the token account is frozen`);
+        if (account.amount < BigInt(amount)) {
+            throw new Error(`refusing to ${verb} ${amount}, the token account holds ${account.amount}`);
+        }
+        return account;
+    }
+
+    // The owner's associated token account, created first (paid by `payer`) when it does not exist
+    async ensureTokenAccount(payer, tokenInfo, owner) {
+        const mint = new PublicKey(tokenInfo.mint);
+        const address = await getAssociatedTokenAddress(mint, owner, false, tokenInfo.programId);
+        try {
+            await getAccount(this.connection, address, undefined, tokenInfo.programId);
+            return { address, transactions: [] };
+        } catch (error) {
+            if (!isMissingAccount(error)) throw error;
+            const tx = new Transaction().add(
+                createAssociatedTokenAccountInstruction(payer.publicKey, address, owner, mint, tokenInfo.programId)
+            );
+            return { address, transactions: [await this.sender.send(tx, [payer.keypair])] };
+        }
+    }
+
+    // Token-2022 mints with a transfer fee need the fee stated explicitly. Tokens deployed by this
+    // process know their fee, others are read from the mint.
+    async transferInstruction(tokenInfo, source, destination, authority, amount) {
+        const mint = new PublicKey(tokenInfo.mint);
+        const { programId, decimals } = tokenInfo;
+        let fee = null;
+        if (tokenInfo.transferFee) {
+            fee = calculateFee({
+                epoch: 0n,
+                maximumFee: BigInt(tokenInfo.transferFee.maxFee),
+                transferFeeBasisPoints: tokenInfo.transferFee.basisPoints
+            }, BigInt(amount));
+        } else if (tokenInfo.transferFee === undefined) {
+            const feeConfig = getTransferFeeConfig(await getMint(this.connection, mint, undefined, programId));
+            if (feeConfig) {
+                const { epoch } = await this.connection.getEpochInfo();
+                fee = calculateEpochFee(feeConfig, BigInt(epoch), BigInt(amount));
+            }
+        }
+        if (fee !== null) {
+            return createTransferCheckedWithFeeInstruction(source, mint, destination, authority, BigInt(amount), decimals, fee, [], programId);
+        }
+        return createTransferCheckedInstruction(source, mint, destination, authority, amount, decimals, [], programId);
+    }
+
+    // What this process changed about a token account (delegate, closed, authority) without waiting for
+    // the chain. Entries are replaced, not edited, so a dry run can put the old map back.
+    updateTokenInfo(wallet, tokenData, changes) {
+        wallet.tokenAccounts.set(tokenData.address, { ...wallet.tokenAccounts.get(tokenData.address), ...changes });
+    }
+
+    // step: { action, amount, target, authority, rng } from scenarioStep, amounts in base units
+    async performTokenInteraction(wallet, tokenData, step) {
+        const { action, amount } = step;
+        const tokenInfo = wallet.tokenAccounts.get(tokenData.address);
+        if (!tokenInfo) throw new Error('Token not found');
+
+        const tokenMint = new PublicKey(tokenInfo.mint);
+        const tokenAccount = new PublicKey(tokenInfo.account);
+        const { programId, decimals } = tokenInfo;
+
+        switch (action) {
+            case 'mint': {
+                try {
+                    if (tokenInfo.canMint === false) throw new Error('wallet does not hold mint authority');
+                    const transaction = new Transaction();
+                    // A token account closed by an earlier interaction comes back on the next mint
+                    if (tokenInfo.closed) {
+                        transaction.add(createAssociatedTokenAccountIdempotentInstruction(wallet.publicKey, tokenAccount, wallet.publicKey, tokenMint, programId));
+                    }
+                    transaction.add(
+                        createMintToCheckedInstruction(
+                            tokenMint,
+                            tokenAccount,
+                            wallet.publicKey,
+                            amount,
+                            decimals,
+                            [],
+                            programId
+                        )
+                    );
+                    
+                    const sent = await this.sender.send(transaction, [wallet.keypair]);
+                    if (tokenInfo.closed) this.updateTokenInfo(wallet, tokenData, { closed: false });
+                    return { message: `Minted ${amount} tokens`, transactions: [sent] };
+                } catch (error) {
+                    throw new Error(`Mint failed: ${error.message}`, { cause: error });
+                }
+            }
+
+            case 'transfer': {
+                try {
+                    if (tokenInfo.canTransfer === false) throw new Error('token is non-transferable');
+                    await this.checkTokenBalance(tokenInfo, amount, 'transfer');
+                    const target = this.resolveTransferTarget(wallet, step);
+                    const destination = await this.ensureTokenAccount(wallet, tokenInfo, target.publicKey);
+                    const tx = new Transaction().add(
+                        await this.transferInstruction(tokenInfo, tokenAccount, destination.address, wallet.publicKey, amount)
+                    );
+                    const transactions = [...destination.transactions, await this.sender.send(tx, [wallet.keypair])];
+
+                    return { message: `Transferred ${amount} tokens to ${target.label}`, transactions };
+                } catch (error) {
+                    throw new Error(`Transfer failed: ${error.message}`, { cause: error });
+                }
+            }
+
+            case 'burn': {
+                try {
+                    await this.checkTokenBalance(tokenInfo, amount, 'burn');
+                    const transaction = new Transaction().add(
+                        createBurnCheckedInstruction(
+                            tokenAccount,
+                            tokenMint,
+                            wallet.publicKey,
+                            amount,
+                            decimals,
+                            [],
+                            programId
+                        )
+                    );
+
+                    const sent = await this.sender.send(transaction, [wallet.keypair]);
+                    return { message: `Burned ${amount} tokens`, transactions: [sent] };
+                } catch (error) {
+                    throw new Error(`Burn failed: ${error.message}`, { cause: error });
+                }
+            }
+
+            // The target's token account, the wallet's own by default. Needs the mint's freeze authority.
+            case 'freeze':
+            case 'thaw': {
+                const freeze = action === 'freeze';
+                try {
+                    const target = this.resolveTransferTarget(wallet, step, { others: true });
+                    const mintInfo = await this.readMint(tokenInfo);
+                    if (mintInfo && !mintInfo.freezeAuthority) throw new Error('the mint has no freeze authority');
+                    if (mintInfo && !mintInfo.freezeAuthority.equals(wallet.publicKey)) throw new Error('wallet does not hold freeze authority');
+                    const account = target.publicKey.equals(wallet.publicKey)
+                        ? tokenAccount
+                        : getAssociatedTokenAddressSync(tokenMint, target.publicKey, false, programId);
+                    const state = await this.readTokenAccount(account, programId, action);
+                    if (state && state.isFrozen === freeze) {
+                        throw new Error(`the token account of ${target.label} is already ${freeze ? 'frozen' : 'thawed'}`);
+                    }
+
+                    const transaction = new Transaction().add(freeze
+                        ? createFreezeAccountInstruction(account, tokenMint, wallet.publicKey, [], programId)
+                        : createThawAccountInstruction(account, tokenMint, wallet.publicKey, [], programId));
+                    const sent = await this.sender.send(transaction, [wallet.keypair]);
+                    return { message: `${freeze ? 'Froze' : 'Thawed'} the token account of ${target.label}`, transactions: [sent] };
+                } catch (error) {
+                    throw new Error(`${freeze ? 'Freeze' : 'Thaw'} failed: ${error.message}`, { cause: error });
+                }
+            }
+
+            // Lets another wallet move up to `amount` of this wallet's tokens, replacing any earlier delegate
+            case 'approve': {
+                try {
+                    await this.checkTokenBalance(tokenInfo, amount, 'approve');
+                    const delegate = this.resolveTransferTarget(wallet, step, { others: true });
+                    if (delegate.publicKey.equals(wallet.publicKey)) throw new Error('a wallet cannot be its own delegate');
+
+                    const transaction = new Transaction().add(
+                        createApproveCheckedInstruction(tokenAccount, tokenMint, delegate.publicKey, wallet.publicKey, amount, decimals, [], programId)
+                    );
+                    const sent = await this.sender.send(transaction, [wallet.keypair]);
+                    this.updateTokenInfo(wallet, tokenData, { delegate: { address: delegate.publicKey.toBase58(), amount: BigInt(amount) } });
+                    return { message: `Approved ${delegate.label} to move ${amount} tokens`, transactions: [sent] };
+                } catch (error) {
+                    throw new Error(`Approve failed: ${error.message}`, { cause: error });
+                }
+            }
+
+            case 'revoke': {
+                try {
+                    const account = await this.readTokenAccount(tokenAccount, programId, 'revoke');
+                    const delegate = 'delegate' in tokenInfo ? tokenInfo.delegate?.address : account?.delegate?.toBase58();
+                    if (!delegate) throw new Error('the token account has no delegate');
+
+                    const transaction = new Transaction().add(createRevokeInstruction(tokenAccount, wallet.publicKey, [], programId));
+                    const sent = await this.sender.send(transaction, [wallet.keypair]);
+                    this.updateTokenInfo(wallet, tokenData, { delegate: null });
+                    const known = this.wallets.find(w => w.publicKey.toBase58() === delegate);
+                    return { message: `Revoked delegate ${known ? `wallet #${known.index}` : delegate}`, transactions: [sent] };
+                } catch (error) {
+                    throw new Error(`Revoke failed: ${error.message}`, { cause: error });
+                }
+            }
+
+            // The delegate, which has to be a loaded wallet, moves this wallet's tokens to the target.
+            // The owner pays the fee, the delegate signs for the tokens.
+            case 'delegate-transfer': {
+                try {
+                    if (tokenInfo.canTransfer === false) throw new Error('token is non-transferable');
+                    const account = await this.checkTokenBalance(tokenInfo, amount, 'transfer');
+                    // Delegates approved by this process are known before the chain has them (dry runs)
+                    const approved = 'delegate' in tokenInfo ? tokenInfo.delegate
+                        : account?.delegate ? { address: account.delegate.toBase58(), amount: account.delegatedAmount }
+                        : null;
+                    if (!approved) throw new Error('the token account has no delegate, approve one first');
+                    if (approved.amount < BigInt(amount)) {
+                        throw new Error(`refusing to move ${amount}, the delegate may move ${approved.amount}`);
+                    }
+                    const delegate = this.wallets.find(w => w.publicKey.toBase58() === approved.address);
+                    if (!delegate) throw new Error(`delegate ${approved.address} is not a loaded wallet`);
+
+                    const target = this.resolveTransferTarget(wallet, step);
+                    const destination = await this.ensureTokenAccount(wallet, tokenInfo, target.publicKey);
+                    const tx = new Transaction().add(
+                        await this.transferInstruction(tokenInfo, tokenAccount, destination.address, delegate.publicKey, amount)
+                    );
+                    const transactions = [...destination.transactions, await this.sender.send(tx, [wallet.keypair, delegate.keypair])];
+                    const left = approved.amount - BigInt(amount);
+                    this.updateTokenInfo(wallet, tokenData, { delegate: left > 0n ? { ...approved, amount: left } : null });
+
+                    return { message: `Wallet #${delegate.index} moved ${amount} tokens to ${target.label} as delegate`, transactions };
+                } catch (error) {
+                    throw new Error(`Delegated transfer failed: ${error.message}`, { cause: error });
+                }
+            }
+
+            // Only an empty token account can be closed, its rent goes back to the wallet
+            case 'close': {
+                try {
+                    if (tokenInfo.closed) throw new Error('the token account is already closed');
+                    const account = await this.readTokenAccount(tokenAccount, programId, 'close');
+                    if (account?.isFrozen) throw new Error('cannot close, the token account is frozen');
+                    if (account && account.amount > 0n) {
+                        throw new Error(`refusing to close, the token account still holds ${account.amount}`);
+                    }
+
+                    const transaction = new Transaction().add(
+                        createCloseAccountInstruction(tokenAccount, wallet.publicKey, wallet.publicKey, [], programId)
+                    );
+                    const sent = await this.sender.send(transaction, [wallet.keypair]);
+                    this.updateTokenInfo(wallet, tokenData, { closed: true, delegate: null });
+                    return { message: `Closed token account ${tokenAccount.toBase58()}, rent returned`, transactions: [sent] };
+                } catch (error) {
+                    throw new Error(`Close failed: ${error.message}`, { cause: error });
+                }
+            }
+
+            // Hands the mint or freeze authority to the target, or revokes it for good with target none
+            case 'set-authority': {
+                const { authority = 'mint' } = step;
+                try {
+                    const mintInfo = await this.readMint(tokenInfo);
+                    const current = mintInfo && (authority === 'mint' ? mintInfo.mintAuthority : mintInfo.freezeAuthority);
+                    if (mintInfo && !current) throw new Error(`the mint has no ${authority} authority`);
+                    if ((mintInfo && !current.equals(wallet.publicKey)) || (authority === 'mint' && tokenInfo.canMint === false)) {
+                        throw new Error(`wallet does not hold ${authority} authority`);
+                    }
+                    const newAuthority = step.target === 'none' ? null : this.resolveTransferTarget(wallet, step, { others: true });
+                    if (newAuthority?.publicKey.equals(wallet.publicKey)) throw new Error(`wallet already holds ${authority} authority`);
+
+                    const transaction = new Transaction().add(createSetAuthorityInstruction(
+                        tokenMint,
+                        wallet.publicKey,
+                        authority === 'mint' ? AuthorityType.MintTokens : AuthorityType.FreezeAccount,
+                        newAuthority?.publicKey ?? null,
+                        [],
+                        programId
+                    ));
+                    const sent = await this.sender.send(transaction, [wallet.keypair]);
+                    if (authority === 'mint') {
+                        this.updateTokenInfo(wallet, tokenData, { canMint: false });
+                        tokenData.canMint = false;
+                        if (this.state.tokensFor(wallet.publicKey.toBase58(), this.network.name).some(t => t.address === tokenData.address)) {
+                            this.state.recordToken({ address: tokenData.address, canMint: false });
+                        }
+                    }
+                    return {
+                        message: newAuthority ? `Gave ${authority} authority to ${newAuthority.label}` : `Revoked ${authority} authority`,
+                        transactions: [sent]
+                    };
+                } catch (error) {
+                    throw new Error(`Set authority failed: ${error.message}`, { cause: error });
+                }
+            }
+
+            default:
+                throw new Error(`Unknown action: ${action}`);
+        }
+    }
+
+    // Metaplex client that signs and pays with the given wallet
+    metaplexFor(wallet) {
+        if (!wallet.metaplex) {
+            wallet.metaplex = new Metaplex(this.connection)
+                .use(keypairIdentity(wallet.keypair))
+                .use(bundlrStorage(this.config.storage));
+        }
+        return wallet.metaplex;
+    }
+
+    async resolveMetadataUri(wallet, asset) {
+        if (asset.uri) return asset.uri;
+
+        // The pending upload is stored so parallel wallets wait for it instead of uploading again
+        const key = path.resolve(asset.file);
+        if (!this.uploadedUris.has(key)) {
+            const { uri: _uri, ...metadata } = asset.metadata;
+            if (asset.imagePath) {
+                metadata.image = toMetaplexFile(fs.readFileSync(asset.imagePath), path.basename(asset.imagePath));
+            }
+            const upload = this.metaplexFor(wallet).nfts().uploadMetadata(metadata).then(({ uri }) => uri);
+            upload.catch(() => this.uploadedUris.delete(key));
+            this.uploadedUris.set(key, upload);
+        }
+        return this.uploadedUris.get(key);
+    }
+
+    // Resolves with the new NFT's address and its mint transaction
+    async mintCollectionNft(wallet, collectionData, item) {
+        const { nft, response } = await this.metaplexFor(wallet).nfts().create({
+            uri: item.uri,
+            name: item.name,
+            symbol: item.symbol,
+            sellerFeeBasisPoints: item.sellerFeeBasisPoints,
+            collection: new PublicKey(collectionData.address),
+            collectionAuthority: wallet.keypair
+        });
+
+        wallet.nftAccounts.set(nft.address.toBase58(), {
+            mint: nft.address,
+            collection: collectionData.address,
+            baseName: item.name,
+            version: 1,
+            owner: wallet.publicKey.toBase58(),
+            nft
+        });
+
+        return { address: nft.address.toBase58(), transaction: await this.sender.lookup(response.signature) };
+    }
+
+    // NFT models are not persisted, after a restart they are fetched again on first use
+    async loadNft(wallet, info) {
+        if (!info.nft) {
+            info.nft = await this.metaplexFor(wallet).nfts().findByMint({ mintAddress: info.mint });
+        }
+        return info.nft;
+    }
+
+    saveCollectionState(wallet, collectionData) {
+        const owner = wallet.publicKey.toBase58();
+        const existing = this.state.collectionsFor(owner, this.network.name)
+            .find(c => c.address === collectionData.address);
+        this.state.recordCollection({
+            address: collectionData.address,
+            owner,
+            walletIndex: wallet.index,
+            network: this.network.name,
+            createdAt: existing?.createdAt ?? new Date().toISOString(),
+            name: collectionData.name,
+            items: collectionData.items,
+            nfts: collectionData.nfts,
+            nftAccounts: [...wallet.nftAccounts.values()]
+                .filter(info => info.collection === collectionData.address)
+                .map(({ mint, baseName, version, owner: nftOwner }) => ({ mint: mint.toBase58(), baseName, version, owner: nftOwner }))
+        });
+    }
+
+    // Rebuilds the in-memory token and NFT maps from the state file for this network
+    restoreDeployments() {
+        for (const wallet of this.wallets) {
+            const owner = wallet.publicKey.toBase58();
+            for (const token of this.state.tokensFor(owner, this.network.name)) {
+                wallet.tokenAccounts.set(token.address, {
+                    mint: new PublicKey(token.address),
+                    account: new PublicKey(token.tokenAccount),
+                    programId: TOKEN_PROGRAMS[token.program],
+                    decimals: token.decimals,
+                    canMint: token.canMint,
+                    canTransfer: token.canTransfer
+                });
+            }
+            for (const collection of this.state.collectionsFor(owner, this.network.name)) {
+                for (const nft of collection.nftAccounts) {
+                    wallet.nftAccounts.set(nft.mint, {
+                        ...nft,
+                        mint: new PublicKey(nft.mint),
+                        collection: collection.address,
+                        nft: null
+                    });
+                }
+            }
+        }
+    }
+
+    // Prepares any existing mint for interactions: finds the wallet's token account on-chain
+    // and works out whether the wallet may mint and whether the token can move at all.
+    // With holding false a wallet that neither holds the token nor mints it is accepted too,
+    // for actions on other wallets' accounts (freeze, thaw, set-authority).
+    async loadExistingToken(wallet, mintAddress, { holding = true } = {}) {
+        let mint;
+        try {
+            mint = new PublicKey(mintAddress);
+        } catch {
+            throw new Error(`Invalid mint address: ${mintAddress}`);
+        }
+
+        const accountInfo = await this.connection.getAccountInfo(mint);
+        if (!accountInfo) throw new Error(`Mint ${mintAddress} does not exist on ${this.network.name}`);
+        const program = Object.keys(TOKEN_PROGRAMS).find(name => TOKEN_PROGRAMS[name].equals(accountInfo.owner));
+        if (!program) throw new Error(`${mintAddress} is not a token mint`);
+        const programId = TOKEN_PROGRAMS[program];
+
+        const mintInfo = await getMint(this.connection, mint, undefined, programId);
+        const canMint = Boolean(mintInfo.mintAuthority?.equals(wallet.publicKey));
+        const canTransfer = !getExtensionTypes(mintInfo.tlvData).includes(ExtensionType.NonTransferable);
+
+        const tokenAccount = await getAssociatedTokenAddress(mint, wallet.publicKey, false, programId);
+        let balance = 0n;
+        try {
+            balance = (await getAccount(this.connection, tokenAccount, undefined, programId)).amount;
+        } catch (error) {
+            if (!isMissingAccount(error)) throw error;
+            if (!canMint && holding) {
+                throw new Error(`Wallet holds no ${mintAddress} tokens and is not the mint authority`);
+            }
+            // Mint interactions need somewhere to put the tokens
+            if (canMint) {
+                const tx = new Transaction().add(
+                    createAssociatedTokenAccountInstruction(wallet.publicKey, tokenAccount, wallet.publicKey, mint, programId)
+                );
+                await this.sender.send(tx, [wallet.keypair]);
+            }
+        }
+
+        if (!canMint && balance === 0n && holding) {
+            throw new Error(`Wallet holds no ${mintAddress} tokens and is not the mint authority`);
+        }
+
+        wallet.tokenAccounts.set(mint.toBase58(), {
+            mint,
+            account: tokenAccount,
+            programId,
+            decimals: mintInfo.decimals,
+            canMint,
+            canTransfer
+        });
+
+        return {
+            address: mint.toBase58(),
+            tokenAccount: tokenAccount.toBase58(),
+            program,
+            canMint,
+            canTransfer
+        };
+    }
+
+    // Mints from the state file on this network, newest first, for picking one in the menu
+    knownTokens() {
+        const tokens = this.state.data.tokens.filter(token => token.network === this.network.name);
+        return [...new Map(tokens.map(token => [token.address, token])).values()].reverse();
+    }
+
+    // Latest (or the given) token or collection this wallet deployed earlier, in the shape deploy returns
+    previousDeployment(wallet, type, address) {
+        const owner = wallet.publicKey.toBase58();
+        const records = type === 'nft'
+            ? this.state.collectionsFor(owner, this.network.name)
+            : this.state.tokensFor(owner, this.network.name);
+        const record = address ? records.find(r => r.address === address) : records[records.length - 1];
+        if (!record) return null;
+
+        if (type === 'nft') {
+            return { address: record.address, name: record.name, items: record.items, nfts: record.nfts };
+        }
+        return {
+            address: record.address,
+            tokenAccount: record.tokenAccount,
+            program: record.program,
+            metadata: record.metadata,
+            canMint: record.canMint,
+            canTransfer: record.canTransfer
+        };
+    }
+
+    async deployNftCollection(wallet, assets) {
+        this.progress('start', `🖼️  Creating NFT collection with wallet #${wallet.index}...`);
+        try {
+            const metaplex = this.metaplexFor(wallet);
+
+            this.progress('update', '📤 Preparing collection metadata...');
+            const collectionUri = await this.resolveMetadataUri(wallet, assets.collection);
+
+            this.progress('update', `🖼️  Creating collection ${assets.collection.name}...`);
+            const { nft: collectionNft, response } = await metaplex.nfts().create({
+                uri: collectionUri,
+                name: assets.collection.name,
+                symbol: assets.collection.symbol,
+                sellerFeeBasisPoints: assets.collection.sellerFeeBasisPoints,
+                isCollection: true
+            });
+
+            const collectionData = {
+                address: collectionNft.address.toBase58(),
+                name: assets.collection.name,
+                items: [],
+                nfts: []
+            };
+            const transactions = [await this.sender.lookup(response.signature)];
+            const nftTransactions = [];
+
+            for (const [i, asset] of assets.items.entries()) {
+                this.progress('update', `🎨 Minting NFT ${i + 1}/${assets.items.length}: ${asset.name}`);
+                const item = {
+                    uri: await this.resolveMetadataUri(wallet, asset),
+                    name: asset.name,
+                    symbol: asset.symbol,
+                    sellerFeeBasisPoints: asset.sellerFeeBasisPoints
+                };
+                collectionData.items.push(item);
+                const { address, transaction } = await this.mintCollectionNft(wallet, collectionData, item);
+                collectionData.nfts.push(address);
+                nftTransactions.push(transaction);
+            }
+
+            this.saveCollectionState(wallet, collectionData);
+            this.progress('succeed', `✅ NFT collection created: ${collectionData.address} (${collectionData.nfts.length} NFTs)`);
+            return { ...collectionData, transactions, nftTransactions };
+
+        } catch (error) {
+            this.progress('fail', `❌ Failed to create NFT collection: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // step: { action, target, rng } from scenarioStep
+    async performNftInteraction(wallet, collectionData, step) {
+        const { action, rng } = step;
+        const collectionNfts = [...wallet.nftAccounts.values()]
+            .filter(info => info.collection === collectionData.address);
+
+        switch (action) {
+            case 'mint': {
+                try {
+                    const item = rng.pick(collectionData.items);
+                    const { address, transaction } = await this.mintCollectionNft(wallet, collectionData, item);
+                    collectionData.nfts.push(address);
+                    this.saveCollectionState(wallet, collectionData);
+                    return { message: `Minted NFT ${item.name}: ${address}`, transactions: [transaction] };
+                } catch (error) {
+                    throw new Error(`NFT mint failed: ${error.message}`, { cause: error });
+                }
+            }
+
+            case 'transfer': {
+                try {
+                    const owned = collectionNfts.filter(info => info.owner === wallet.publicKey.toBase58());
+                    if (owned.length === 0) throw new Error(`wallet #${wallet.index} holds no NFT from this collection`);
+
+                    const target = this.resolveTransferTarget(wallet, step, { others: true });
+                    if (target.publicKey.equals(wallet.publicKey)) throw new Error('wallet cannot transfer an NFT to itself');
+                    const info = rng.pick(owned);
+
+                    const { response } = await this.metaplexFor(wallet).nfts().transfer({
+                        nftOrSft: await this.loadNft(wallet, info),
+                        toOwner: target.publicKey
+                    });
+                    info.owner = target.publicKey.toBase58();
+                    this.saveCollectionState(wallet, collectionData);
+
+                    return {
+                        message: `Transferred NFT ${info.mint.toBase58()} to ${target.label}`,
+                        transactions: [await this.sender.lookup(response.signature)]
+                    };
+                } catch (error) {
+                    throw new Error(`NFT transfer failed: ${error.message}`, { cause: error });
+                }
+            }
+
+            case 'update': {
+                try {
+                    // The deploying wallet stays update authority after a transfer
+                    if (collectionNfts.length === 0) throw new Error('collection has no NFTs');
+                    const info = rng.pick(collectionNfts);
+                    const suffix = ` v${info.version + 1}`;
+                    const name = info.baseName.slice(0, 32 - suffix.length) + suffix;
+
+                    const metaplex = this.metaplexFor(wallet);
+                    const { response } = await metaplex.nfts().update({ nftOrSft: await this.loadNft(wallet, info), name });
+                    info.nft = await metaplex.nfts().findByMint({ mintAddress: info.mint });
+                    info.version++;
+                    this.saveCollectionState(wallet, collectionData);
+
+                    return {
+                        message: `Renamed NFT ${info.mint.toBase58()} to "${name}"`,
+                        transactions: [await this.sender.lookup(response.signature)]
+                    };
+                } catch (error) {
+                    throw new Error(`NFT update failed: ${error.message}`, { cause: error });
+                }
+            }
+
+            default:
+                throw new Error(`Unknown action: ${action}`);
+        }
+    }
+
+    // One getMultipleAccountsInfo request per 100 wallets, a wallet that was never funded holds 0
+    async getBalances(wallets = this.wallets) {
+        const balances = [];
+        for (let start = 0; start < wallets.length; start += ACCOUNTS_PER_REQUEST) {
+            const batch = wallets.slice(start, start + ACCOUNTS_PER_REQUEST);
+            const accounts = await this.connection.getMultipleAccountsInfo(batch.map(w => w.publicKey));
+            batch.forEach((wallet, i) => {
+                const lamports = accounts[i]?.lamports ?? 0;
+                balances.push({
+                    index: wallet.index,
+                    address: wallet.publicKey.toString(),
+                    lamports,
+                    sol: lamports / 1e9
+                });
+            });
+        }
+        return balances;
+    }
+
+    // SOL and every SPL / Token-2022 account of each wallet, see buildSnapshot
+    async balanceSnapshot(wallets = this.wallets) {
+        const balances = await this.getBalances(wallets);
+        const symbols = new Map(this.knownTokens()
+            .filter(token => token.symbol || token.name)
+            .map(token => [token.address, token.symbol || token.name]));
+
+        const rows = [];
+        for (const [i, wallet] of wallets.entries()) {
+            const tokens = [];
+            for (const [program, programId] of Object.entries(TOKEN_PROGRAMS)) {
+                const { value } = await this.connection.getParsedTokenAccountsByOwner(wallet.publicKey, { programId });
+                tokens.push(...value.map(entry => tokenHolding(entry, program)));
+            }
+            rows.push({ index: wallet.index, label: wallet.label, address: balances[i].address, lamports: balances[i].lamports, tokens });
+        }
+        return buildSnapshot({ network: this.network.name, wallets: rows, symbols });
+    }
+
+    // Takes a new snapshot every `intervalMs`, or with `subscribe` whenever a wallet or one of its token
+    // accounts changes, until `signal` aborts. onSnapshot(snapshot, first) compares against the first one.
+    async watchBalances({ intervalMs = 10000, subscribe = false, signal, onSnapshot }) {
+        const subscriptions = new Map();
+        let first = null;
+        let changed = false;
+        let wake = () => {};
+        const onChange = () => {
+            changed = true;
+            wake();
+        };
+
+        // Follows token accounts that appear or close between snapshots. A listener that cannot be removed
+        // (the websocket is down) is reported with the snapshot, the watch goes on.
+        const follow = async (snapshot) => {
+            const addresses = new Set(snapshot.wallets.flatMap(w => [w.address, ...w.tokens.map(t => t.account)]));
+            for (const [address, id] of subscriptions) {
+                if (!addresses.has(address)) {
+                    subscriptions.delete(address);
+                    await this.connection.removeAccountChangeListener(id);
+                }
+            }
+            for (const address of addresses) {
+                if (!subscriptions.has(address)) {
+                    subscriptions.set(address, this.connection.onAccountChange(new PublicKey(address), onChange, 'confirmed'));
+                }
+            }
+        };
+
+        try {
+            while (!signal.aborted) {
+                changed = false;
+                try {
+                    const snapshot = await this.balanceSnapshot();
+                    first ??= snapshot;
+                    onSnapshot(snapshot, first);
+                    if (subscribe) await follow(snapshot);
+                } catch (error) {
+                    this.log('error', `❌ Could not read balances: ${error.message}`);
+                }
+                if (changed || signal.aborted) continue;
+
+                await new Promise(resolve => {
+                    const timer = subscribe ? null : setTimeout(resolve, intervalMs);
+                    const stop = () => {
+                        clearTimeout(timer);
+                        signal.removeEventListener('abort', stop);
+                        resolve();
+                    };
+                    wake = stop;
+                    signal.addEventListener('abort', stop);
+                });
+            }
+        } finally {
+            for (const id of subscriptions.values()) await this.connection.removeAccountChangeListener(id);
+        }
+    }
+
+    // Default export file in the reports directory
+    balanceExportFile(format) {
+        return path.join(this.config.reports.directory, `sonic-balances-${Date.now()}.${format}`);
+    }
+
+    // A loaded wallet by list number, keystore label or address
+    findWallet(ref) {
+        const text = String(ref).trim();
+        const wallet = /^\d+$/.test(text)
+            ? this.wallets.find(w => w.index === parseInt(text))
+            : this.wallets.find(w => w.publicKey.toBase58() === text || (w.label && w.label === text));
+        if (!wallet) throw new Error(`No loaded wallet ${text}`);
+        return wallet;
+    }
+
+    // Which wallets a treasury top-up would fund and with how much. Amounts are in SOL,
+    // wallets below `threshold` are topped up to `target` (default: the threshold).
+    async planFunding({ treasury, threshold = this.settings.minBalance, target = threshold, walletIndexes } = {}) {
+        if (!(threshold > 0)) throw new Error('The funding threshold must be above 0 SOL');
+        if (!(target >= threshold)) throw new Error('The top-up target cannot be below the threshold');
+
+        const source = this.findWallet(treasury);
+        const wallets = this.wallets.filter(w => w !== source && (!walletIndexes || walletIndexes.includes(w.index)));
+        const [treasuryBalance] = await this.getBalances([source]);
+        const balances = await this.getBalances(wallets);
+        const rentExempt = await this.connection.getMinimumBalanceForRentExemption(0);
+        const fullBatch = Array.from({ length: TRANSFERS_PER_TRANSACTION }, () =>
+            SystemProgram.transfer({ fromPubkey: source.publicKey, toPubkey: source.publicKey, lamports: 1 }));
+
+        return planFunding({
+            treasury: { index: source.index, address: treasuryBalance.address, lamports: treasuryBalance.lamports },
+            balances: balances.map(({ index, address, lamports }) => ({ index, address, lamports })),
+            threshold: toLamports(threshold),
+            target: toLamports(target),
+            feePerTransaction: await this.sender.estimateFee(fullBatch, source.publicKey),
+            // The treasury stays a live account
+            reserve: rentExempt,
+            rentExempt
+        });
+    }
+
+    // Sends the planned top-ups, several wallets per transaction. Returns one result per wallet.
+    async fundWallets(plan) {
+        const treasury = this.findWallet(plan.treasury.index);
+        const results = [];
+        for (const batch of plan.batches) {
+            const instructions = batch.map(row => SystemProgram.transfer({
+                fromPubkey: treasury.publicKey,
+                toPubkey: new PublicKey(row.address),
+                lamports: row.amount
+            }));
+            const wallets = batch.map(row => `#${row.index}`).join(', ');
+            this.progress('start', `Funding ${wallets}`);
+            let sent = null;
+            let error = null;
+            try {
+                sent = await this.sender.send(instructions, [treasury.keypair]);
+                this.progress('succeed', `✅ Funded ${wallets}`);
+            } catch (e) {
+                error = e.message;
+                this.progress('fail', `❌ Funding ${wallets} failed: ${error}`);
+            }
+            batch.forEach(row => results.push({
+                index: row.index,
+                address: row.address,
+                what: `${sol(row.amount)} SOL from #${treasury.index}`,
+                lamports: row.amount,
+                signature: sent?.signature ?? null,
+                transaction: sent,
+                error
+            }));
+        }
+        return results;
+    }
+
+    // Where each wallet's SOL, and with `tokens` its SPL balances, would go. Token balances move to
+    // the destination's associated token accounts and the emptied accounts are closed for their rent.
+    // `keep` SOL stays in every wallet.
+    async planSweep({ destination, tokens = false, keep = 0, walletIndexes } = {}) {
+        let target;
+        try {
+            target = /^\d+$/.test(String(destination).trim()) || this.wallets.some(w => w.label === destination)
+                ? this.findWallet(destination).publicKey
+                : new PublicKey(destination);
+        } catch (error) {
+            throw new Error(`Invalid sweep destination ${destination}: ${error.message}`);
+        }
+
+        const rentExempt = await this.connection.getMinimumBalanceForRentExemption(0);
+        const keepLamports = toLamports(keep);
+        if (keepLamports > 0 && keepLamports < rentExempt) {
+            throw new Error(`Keep at least ${sol(rentExempt)} SOL (the rent-exempt minimum) or 0`);
+        }
+
+        const wallets = this.wallets.filter(w => !w.publicKey.equals(target) && (!walletIndexes || walletIndexes.includes(w.index)));
+        const balances = await this.getBalances(wallets);
+        const planned = [];
+        for (const [i, wallet] of wallets.entries()) {
+            const accounts = [];
+            if (tokens) {
+                for (const programId of [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]) {
+                    const { value } = await this.connection.getParsedTokenAccountsByOwner(wallet.publicKey, { programId });
+                    accounts.push(...value.map(entry => planTokenAccount({ ...entry, programId: programId.toBase58() }, wallet.publicKey.toBase58())));
+                }
+            }
+            planned.push({ index: wallet.index, address: balances[i].address, lamports: balances[i].lamports, tokens: accounts });
+        }
+
+        // Destination token accounts that already exist cost nothing, new ones cost rent for their size
+        const destinationAta = (token) => getAssociatedTokenAddressSync(new PublicKey(token.mint), target, true, new PublicKey(token.programId));
+        const transfers = planned.flatMap(w => w.tokens.filter(t => t.transfer));
+        const atas = [...new Map(transfers.map(t => [destinationAta(t).toBase58(), destinationAta(t)])).values()];
+        const existing = new Set();
+        for (let i = 0; i < atas.length; i += 100) {
+            const infos = await this.connection.getMultipleAccountsInfo(atas.slice(i, i + 100));
+            infos.forEach((info, n) => info && existing.add(atas[i + n].toBase58()));
+        }
+        const rentBySpace = new Map();
+        for (const space of new Set(transfers.map(t => t.space))) {
+            rentBySpace.set(space, await this.connection.getMinimumBalanceForRentExemption(space));
+        }
+
+        // Fee estimates for the largest token batch (create account, transfer and close per account) and the SOL transfer
+        const payer = wallets[0]?.publicKey ?? target;
+        const transfer = () => SystemProgram.transfer({ fromPubkey: payer, toPubkey: target, lamports: 1 });
+        const tokenFee = await this.sender.estimateFee(Array.from({ length: TOKEN_ACCOUNTS_PER_TRANSACTION * 3 }, transfer), payer);
+        const solFee = await this.sender.estimateFee([transfer()], payer);
+
+        return planSweep({
+            destination: target.toBase58(),
+            wallets: planned,
+            keep: keepLamports,
+            tokenFee,
+            solFee,
+            rentExempt,
+            destinationExists: await this.connection.getAccountInfo(target) !== null,
+            newAtaRent: (token) => (existing.has(destinationAta(token).toBase58()) ? 0 : rentBySpace.get(token.space))
+        });
+    }
+
+    // Empties token accounts first, then sends the SOL that is left, re-read from the chain so
+    // recovered rent is included. A wallet whose token transactions fail keeps its SOL.
+    async sweepWallets(plan) {
+        const destination = new PublicKey(plan.destination);
+        const results = [];
+        for (const row of plan.rows.filter(r => r.status === 'sweep')) {
+            const wallet = this.findWallet(row.index);
+            let tokensFailed = false;
+
+            for (const batch of row.tokenBatches) {
+                const instructions = batch.flatMap(token => {
+                    const programId = new PublicKey(token.programId);
+                    const mint = new PublicKey(token.mint);
+                    const account = new PublicKey(token.account);
+                    const ixs = [];
+                    if (token.transfer) {
+                        const ata = getAssociatedTokenAddressSync(mint, destination, true, programId);
+                        ixs.push(
+                            createAssociatedTokenAccountIdempotentInstruction(wallet.publicKey, ata, destination, mint, programId),
+                            createTransferCheckedInstruction(account, mint, ata, wallet.publicKey, BigInt(token.amount), token.decimals, [], programId)
+                        );
+                    }
+                    if (token.close) {
+                        ixs.push(createCloseAccountInstruction(account, wallet.publicKey, wallet.publicKey, [], programId));
+                    }
+                    return ixs;
+                });
+                const what = batch.map(t => `${t.transfer ? `${t.uiAmount} of ` : ''}${t.mint.slice(0, 8)}…${t.close ? ' (closed)' : ''}`).join(', ');
+
+                this.progress('start', `Wallet #${row.index}: sweeping ${batch.length} token accounts`);
+                try {
+                    const sent = await this.sender.send(instructions, [wallet.keypair]);
+                    this.progress('succeed', `✅ Wallet #${row.index}: ${what}`);
+                    results.push({ index: row.index, address: row.address, what, signature: sent.signature, transaction: sent, error: null });
+                } catch (error) {
+                    this.progress('fail', `❌ Wallet #${row.index}: token sweep failed: ${error.message}`);
+                    results.push({ index: row.index, address: row.address, what, signature: null, transaction: null, error: error.message });
+                    tokensFailed = true;
+                    break;
+                }
+            }
+
+            if (tokensFailed || row.amount === 0) continue;
+
+            const probe = SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: destination, lamports: 1 });
+            const lamports = await this.connection.getBalance(wallet.publicKey)
+                - await this.sender.estimateFee([probe], wallet.publicKey) - plan.keep;
+            if (lamports <= 0) continue;
+
+            const what = `${sol(lamports)} SOL`;
+            this.progress('start', `Wallet #${row.index}: sending ${what}`);
+            try {
+                const sent = await this.sender.send(
+                    [SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: destination, lamports })],
+                    [wallet.keypair]
+                );
+                this.progress('succeed', `✅ Wallet #${row.index}: swept ${what}`);
+                results.push({ index: row.index, address: row.address, what, lamports, signature: sent.signature, transaction: sent, error: null });
+            } catch (error) {
+                this.progress('fail', `❌ Wallet #${row.index}: SOL sweep failed: ${error.message}`);
+                results.push({ index: row.index, address: row.address, what, lamports, signature: null, transaction: null, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    // Airdrops `amount` SOL to each wallet through the RPC's faucet (test validators, devnet, testnet),
+    // one at a time since faucets limit requests. Rate limited requests are retried with backoff.
+    async requestAirdrops({ amount = 1, walletIndexes } = {}) {
+        if (!(amount > 0)) throw new Error('The airdrop amount must be above 0 SOL');
+        const wallets = walletIndexes ? this.wallets.filter(w => walletIndexes.includes(w.index)) : this.wallets;
+        const before = await this.getBalances(wallets);
+        const { retries, backoffMs, timeoutMs } = this.sendOptions;
+        const rows = [];
+
+        for (const [i, wallet] of wallets.entries()) {
+            const row = { index: wallet.index, address: before[i].address, before: before[i].lamports, after: null, signature: null, error: null };
+            for (let attempt = 1; ; attempt++) {
+                this.progress('start', `Wallet #${wallet.index}: requesting ${amount} SOL${attempt > 1 ? ` (attempt ${attempt})` : ''}`);
+                try {
+                    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash('confirmed');
+                    row.signature = await this.connection.requestAirdrop(wallet.publicKey, toLamports(amount));
+                    let timer;
+                    const { value } = await Promise.race([
+                        this.connection.confirmTransaction({ signature: row.signature, blockhash, lastValidBlockHeight }, 'confirmed'),
+                        new Promise((_, reject) => {
+                            timer = setTimeout(() => reject(new Error(`Airdrop not confirmed within ${timeoutMs / 1000}s`)), timeoutMs);
+                        })
+                    ]).finally(() => clearTimeout(timer));
+                    if (value.err) throw new Error(`Airdrop failed (${JSON.stringify(value.err)})`);
+                    this.progress('succeed', `✅ Wallet #${wallet.index}: received ${amount} SOL`);
+                    break;
+                } catch (error) {
+                    const rateLimited = /429|Too Many Requests|rate limit|limit reached|run dry/i.test(error.message);
+                    if (rateLimited && attempt <= retries) {
+                        const wait = backoffMs * 2 ** attempt;
+                        this.progress('warn', `⏳ Wallet #${wallet.index}: faucet rate limit, retrying in ${wait / 1000}s`);
+                        await sleep(wait);
+                        continue;
+                    }
+                    row.error = rateLimited ? `Faucet rate limit, try again later or ask for less (${error.message})` : error.message;
+                    this.progress('fail', `❌ Wallet #${wallet.index}: ${row.error}`);
+                    break;
+                }
+            }
+            rows.push(row);
+        }
+
+        const after = await this.getBalances(wallets);
+        after.forEach((balance, i) => { rows[i].after = balance.lamports; });
+        return rows;
+    }
+
+    // Checks a CSV recipient list (see distribution.js) for sending `mint` from `wallet`: every address and
+    // amount, the total against the wallet's token balance and the SOL for new token accounts and fees.
+    // Rows the result file lists as sent are skipped. Nothing is signed, the plan has the problems found.
+    async planDistribution({ wallet: ref, mint: mintAddress, file, resultFile = resultFileFor(file) }) {
+        const wallet = this.findWallet(ref);
+        let mint;
+        try {
+            mint = new PublicKey(mintAddress);
+        } catch {
+            throw new DistributionError(`Invalid mint address: ${mintAddress}`);
+        }
+
+        const accountInfo = await this.connection.getAccountInfo(mint);
+        if (!accountInfo) throw new DistributionError(`Mint ${mintAddress} does not exist on ${this.network.name}`);
+        const program = Object.keys(TOKEN_PROGRAMS).find(name => TOKEN_PROGRAMS[name].equals(accountInfo.owner));
+        if (!program) throw new DistributionError(`${mintAddress} is not a token mint`);
+        const programId = TOKEN_PROGRAMS[program];
+        const mintInfo = await getMint(this.connection, mint, 'confirmed', programId);
+        if (getExtensionTypes(mintInfo.tlvData).includes(ExtensionType.NonTransferable)) {
+            throw new DistributionError(`${mintAddress} is non-transferable`);
+        }
+
+        let text;
+        try {
+            text = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            throw new DistributionError(`Cannot read recipient list ${file}`, [error.code === 'ENOENT' ? 'file not found' : error.message]);
+        }
+        const recipients = parseRecipients(text, mintInfo.decimals, `recipient list ${file}`);
+
+        const source = getAssociatedTokenAddressSync(mint, wallet.publicKey, false, programId);
+        let balance = 0n;
+        try {
+            const account = await getAccount(this.connection, source, 'confirmed', programId);
+            if (account.isFrozen) throw new DistributionError(`The token account of wallet #${wallet.index} is frozen`);
+            balance = account.amount;
+        } catch (error) {
+            // No token account yet is a zero balance
+            if (!isMissingAccount(error)) throw error;
+        }
+
+        // Recipients may be program addresses, their token accounts are derived off-curve
+        const atas = new Map(recipients.map(r => [r.address, getAssociatedTokenAddressSync(mint, r.owner, true, programId)]));
+        const keys = [...atas.values()];
+        const existing = new Set();
+        for (let start = 0; start < keys.length; start += ACCOUNTS_PER_REQUEST) {
+            const infos = await this.connection.getMultipleAccountsInfo(keys.slice(start, start + ACCOUNTS_PER_REQUEST));
+            infos.forEach((info, i) => info && existing.add(keys[start + i].toBase58()));
+        }
+
+        const sent = await this.confirmUnknownRows(readSentRows(resultFile));
+
+        // A full batch: create account and transfer per recipient
+        const probe = () => SystemProgram.transfer({ fromPubkey: wallet.publicKey, toPubkey: wallet.publicKey, lamports: 1 });
+        const plan = planDistribution({
+            sender: { index: wallet.index, address: wallet.publicKey.toBase58() },
+            mint: mint.toBase58(),
+            decimals: mintInfo.decimals,
+            recipients: recipients.map(r => ({ ...r, ata: atas.get(r.address).toBase58() })),
+            balance,
+            lamports: await this.connection.getBalance(wallet.publicKey),
+            sent,
+            missingAta: row => !existing.has(row.ata),
+            ataRent: await this.connection.getMinimumBalanceForRentExemption(getAccountLenForMint(mintInfo)),
+            feePerTransaction: await this.sender.estimateFee(Array.from({ length: RECIPIENTS_PER_TRANSACTION * 2 }, probe), wallet.publicKey)
+        });
+        // The fee of the current epoch, read once instead of per transfer
+        const feeConfig = getTransferFeeConfig(mintInfo);
+        let transferFee = null;
+        if (feeConfig) {
+            const { epoch } = await this.connection.getEpochInfo();
+            const fee = getEpochFee(feeConfig, BigInt(epoch));
+            transferFee = { maxFee: fee.maximumFee, basisPoints: fee.transferFeeBasisPoints };
+        }
+        return { ...plan, program, resultFile, transferFee };
+    }
+
+    // Rows of an earlier result file whose transaction timed out are looked up again: landed ones count as
+    // sent, failed ones are dropped to be sent again, ones still unseen stay unknown
+    async confirmUnknownRows(sent) {
+        const signatures = [...new Set([...sent.values()].flat().filter(row => row.status === 'unknown' && row.signature).map(row => row.signature))];
+        if (signatures.length === 0) return sent;
+        const statuses = new Map();
+        for (let start = 0; start < signatures.length; start += ACCOUNTS_PER_REQUEST) {
+            const batch = signatures.slice(start, start + ACCOUNTS_PER_REQUEST);
+            const { value } = await this.connection.getSignatureStatuses(batch, { searchTransactionHistory: true });
+            value.forEach((status, i) => statuses.set(batch[i], status));
+        }
+        const landed = (status) => status && !status.err && ['confirmed', 'finalized'].includes(status.confirmationStatus);
+        return new Map([...sent].map(([key, rows]) => [key, rows.flatMap(row => {
+            if (row.status !== 'unknown') return [row];
+            const status = statuses.get(row.signature);
+            if (landed(status)) return [{ ...row, status: 'sent', error: '' }];
+            if (status?.err) return [];
+            return [row];
+        })]));
+    }
+
+    // Sends a plan from planDistribution batch by batch, creating missing token accounts on the way.
+    // Fills in each row's status, signature or error and rewrites the result file after every batch.
+    // A failed batch does not stop the rest, the next run retries its rows. A batch that timed out is
+    // left unknown, the next run checks whether it landed first.
+    async distributeTokens(plan) {
+        if (plan.problems.length > 0) throw new DistributionError('Cannot distribute', plan.problems);
+        const wallet = this.findWallet(plan.sender.index);
+        const mint = new PublicKey(plan.mint);
+        const programId = TOKEN_PROGRAMS[plan.program];
+        const tokenInfo = { mint, programId, decimals: plan.decimals, transferFee: plan.transferFee };
+        const source = getAssociatedTokenAddressSync(mint, wallet.publicKey, false, programId);
+        writeDistributionResults(plan.resultFile, plan);
+
+        for (const [n, batch] of plan.batches.entries()) {
+            const what = `batch ${n + 1}/${plan.batches.length} (lines ${batch[0].line}-${batch[batch.length - 1].line})`;
+            this.progress('start', `Distributing ${what}`);
+            try {
+                const instructions = [];
+                for (const row of batch) {
+                    const ata = new PublicKey(row.ata);
+                    if (row.createAta) {
+                        instructions.push(createAssociatedTokenAccountIdempotentInstruction(wallet.publicKey, ata, row.owner, mint, programId));
+                    }
+                    instructions.push(await this.transferInstruction(tokenInfo, source, ata, wallet.publicKey, row.amount));
+                }
+                const sent = await this.sender.send(instructions, [wallet.keypair]);
+                const explorer = explorerUrl(this.network, 'tx', sent.signature);
+                batch.forEach(row => Object.assign(row, { status: 'sent', signature: sent.signature, explorer, error: null }));
+                this.progress('succeed', `✅ Distributed ${what}`);
+            } catch (error) {
+                // A transaction that timed out may still have landed, the next run looks its signature up
+                // before sending these rows again. An expired blockhash (retryable) means it never can.
+                const signature = error.signature ?? error.cause?.signature ?? null;
+                const status = signature && !error.retryable ? 'unknown' : 'failed';
+                batch.forEach(row => Object.assign(row, { status, signature, error: error.message }));
+                this.progress('fail', `❌ Distributing ${what} failed: ${error.message}`);
+            }
+            writeDistributionResults(plan.resultFile, plan);
+        }
+        return plan;
+    }
+
+    // Explorer links are resolved when recorded so saved runs keep pointing at the network they ran on
+    withExplorerLinks(transactions = []) {
+        return transactions.map(tx => ({ ...tx, explorer: tx.signature ? explorerUrl(this.network, 'tx', tx.signature) : null }));
+    }
+
+    addDeployment(run, entry) {
+        entry = {
+            ...entry,
+            explorer: explorerUrl(this.network, 'address', entry.address),
+            transactions: this.withExplorerLinks(entry.transactions)
+        };
+        this.deployments.push(entry);
+        run.deployments.push({ ...entry, timestamp: entry.timestamp.toISOString() });
+        this.emit('deployment', entry);
+    }
+
+    addInteraction(run, entry) {
+        entry = { ...entry, transactions: this.withExplorerLinks(entry.transactions) };
+        this.interactions.push(entry);
+        run.interactions.push({ ...entry, timestamp: entry.timestamp.toISOString() });
+        this.emit('interaction', entry);
+    }
+
+    // Deploys a token or NFT collection per wallet (or reuses an earlier one) and runs the matching
+    // interaction set on it. Progress is saved after every step so options.resume can pick a run up again.
+    // When options.signal aborts, the step in flight finishes and the run stops there, left unfinished
+    // for resuming. Returns what this run added plus every failure, so callers can pick an exit status.
+    async runDeployment(options = {}) {
+        const resumed = options.resume;
+        const { signal } = options;
+        const mint = resumed ? resumed.mint : options.mint ?? null;
+        const type = resumed ? resumed.type : options.type === 'nft' && !mint ? 'nft' : 'token';
+        const isNft = type === 'nft';
+        const reuse = resumed ? resumed.reuse : Boolean(options.reuse);
+
+        if (resumed && resumed.network !== this.network.name) {
+            throw new Error(`Run ${resumed.id} belongs to network ${resumed.network}`);
+        }
+        if (mint) {
+            try {
+                new PublicKey(mint);
+            } catch {
+                throw new Error(`Invalid mint address: ${mint}`);
+            }
+        }
+
+        // Asset and scenario problems are the same for every wallet, fail before touching any of them
+        const assets = isNft && !reuse ? loadNftAssets(this.settings.nftFolder) : null;
+        const scenarioFile = options.scenario ?? this.settings.scenario;
+        const scenario = resumed ? resumed.scenario ?? defaultScenario(type)
+            : scenarioFile ? loadScenario(scenarioFile, type) : defaultScenario(type);
+
+        const run = resumed ?? this.state.startRun({
+            network: this.network.name,
+            type,
+            reuse,
+            mint,
+            interactionCount: options.interactionCount ?? this.settings.interactionCount,
+            walletIndexes: options.walletIndexes ?? null,
+            token: isNft ? null : serializeTokenOptions(options.token ?? this.defaultTokenOptions()),
+            scenario,
+            seed: options.seed ?? scenario.seed ?? randomSeed(),
+            failures: []
+        });
+        // Runs saved before scenarios existed get a seed from here on
+        run.seed ??= randomSeed();
+
+        const interactionCount = run.interactionCount;
+        const tokenOptions = isNft ? null : deserializeTokenOptions(run.token);
+        const wallets = run.walletIndexes
+            ? this.wallets.filter(w => run.walletIndexes.includes(w.index))
+            : this.wallets;
+        const typeLabel = isNft ? 'NFT' : 'Token';
+        const failures = [];
+        const fail = (failure) => {
+            failure = { timestamp: new Date().toISOString(), ...failure };
+            failures.push(failure);
+            run.failures.push(failure);
+            this.state.save();
+            this.emit('failure', failure);
+        };
+
+        // Bring back what the interrupted process already did so the report covers the whole run
+        const deploymentStart = this.deployments.length;
+        const interactionStart = this.interactions.length;
+        if (resumed) {
+            this.deployments.push(...run.deployments.map(d => ({ ...d, timestamp: new Date(d.timestamp) })));
+            this.interactions.push(...run.interactions.map(i => ({ ...i, timestamp: new Date(i.timestamp) })));
+            this.log('info', `\n⏯️  Resuming run ${run.id} from ${new Date(run.startedAt).toLocaleString()}`);
+        }
+
+        const what = mint ? `token ${mint}`
+            : reuse ? `previously deployed ${isNft ? 'NFT collections' : 'tokens'}`
+            : isNft ? 'NFT collections' : 'Token contracts';
+        this.log('info', `\n📝 ${reuse || mint ? 'Using' : 'Deploying'} ${what} and performing ${interactionCount} interactions per wallet\n`);
+        this.log('info', `Scenario: ${scenario.name} (${scenario.mode}), seed ${run.seed}\n`);
+
+        const concurrency = Math.max(1, Math.min(this.settings.concurrency, wallets.length));
+        this.emit('run:start', {
+            id: run.id,
+            type,
+            network: this.network.name,
+            resumed: Boolean(resumed),
+            dryRun: Boolean(this.dryRun),
+            wallets: wallets.map(w => w.index),
+            concurrency,
+            interactionCount,
+            scenario: scenario.name,
+            seed: run.seed
+        });
+        if (concurrency > 1) {
+            this.log('info', `Processing ${wallets.length} wallets, ${concurrency} at a time\n`);
+        }
+
+        const processWallet = async (wallet) => {
+            const key = wallet.publicKey.toBase58();
+            const progress = run.wallets[key] ??= { walletIndex: wallet.index, status: 'pending', address: null, interactionsDone: 0 };
+
+            if (progress.status === 'done') {
+                this.log('detail', `\n⏭️  Wallet #${wallet.index} already finished in this run`);
+                return;
+            }
+            if (signal?.aborted) return;
+            this.emit('wallet:start', { walletIndex: wallet.index, address: key });
+
+            try {
+                this.log('notice', `\n👛 Processing Wallet #${wallet.index}: ${wallet.publicKey.toString()}`);
+
+                if (progress.pending) {
+                    this.log('notice', `⚠️  Interaction "${progress.pending.action}" was interrupted and may or may not have landed`);
+                    delete progress.pending;
+                }
+                
+                const balance = await this.connection.getBalance(wallet.publicKey);
+                this.log('info', `Balance: ${(balance / 1e9).toFixed(4)} SOL`);
+                
+                if (balance < this.settings.minBalance * 1e9) {
+                    this.log('error', `❌ Insufficient balance, skipping wallet (top it up with Fund, Sweep & Airdrop)`);
+                    this.emit('low-balance', { walletIndex: wallet.index, address: key, lamports: balance, minimum: Math.round(this.settings.minBalance * 1e9) });
+                    progress.status = 'skipped';
+                    fail({ walletIndex: wallet.index, stage: 'balance', error: 'Insufficient balance' });
+                    return;
+                }
+
+                let result;
+                if (mint) {
+                    result = await this.loadExistingToken(wallet, mint);
+                    this.log('info', `Using token ${result.address} (${result.canMint ? 'mint authority' : 'holder only'})`);
+                } else if (progress.address || reuse) {
+                    result = this.previousDeployment(wallet, type, progress.address);
+                    if (!result) {
+                        throw new Error(`No previously deployed ${isNft ? 'NFT collection' : 'token'} for this wallet on ${this.network.name}`);
+                    }
+                    this.log('info', `Using ${isNft ? 'collection' : 'token'} ${result.address}`);
+                } else {
+                    result = isNft
+                        ? await this.deployNftCollection(wallet, assets)
+                        : await this.deployToken(wallet, tokenOptions);
+
+                    this.addDeployment(run, {
+                        timestamp: new Date(),
+                        walletIndex: wallet.index,
+                        type: isNft ? 'NFT Collection' : 'Token',
+                        address: result.address,
+                        transactions: result.transactions
+                    });
+                    result.nfts?.forEach((address, n) => {
+                        this.addDeployment(run, {
+                            timestamp: new Date(),
+                            walletIndex: wallet.index,
+                            type: 'NFT',
+                            address,
+                            transactions: [result.nftTransactions[n]]
+                        });
+                    });
+                }
+
+                progress.address = result.address;
+                progress.status = 'deployed';
+                this.state.save();
+
+                const remaining = interactionCount - progress.interactionsDone;
+                if (remaining > 0) {
+                    this.log('notice', `\n🔄 Starting ${remaining} interactions...\n`);
+                }
+
+                // Without mint authority the wallet can only move and burn what it holds
+                const allowed = (a) => isNft || ((a !== 'mint' || result.canMint) && (!['transfer', 'delegate-transfer'].includes(a) || result.canTransfer));
+
+                for (let i = progress.interactionsDone + 1; i <= interactionCount; i++) {
+                    if (signal?.aborted) return;
+                    const step = scenarioStep(scenario, {
+                        seed: run.seed,
+                        walletIndex: wallet.index,
+                        number: i,
+                        allowed,
+                        defaultDelayMs: this.settings.interactionInterval * 60 * 1000
+                    });
+                    const { action } = step;
+                    // Counted once the interaction is done, a repeated interrupted one keeps its target
+                    if (step.target === 'round-robin') step.turn = progress.roundRobin ?? 0;
+
+                    progress.pending = { action, startedAt: new Date().toISOString() };
+                    this.state.save();
+                    
+                    this.progress('start', `Interaction ${i}/${interactionCount}: ${action}`);
+                    
+                    try {
+                        const outcome = isNft
+                            ? await this.performNftInteraction(wallet, result, step)
+                            : await this.performTokenInteraction(wallet, result, step);
+                        this.progress('succeed', `✅ ${outcome.message}`);
+                        
+                        this.addInteraction(run, {
+                            timestamp: new Date(),
+                            walletIndex: wallet.index,
+                            type: typeLabel,
+                            action: action,
+                            target: result.address,
+                            result: outcome.message,
+                            transactions: outcome.transactions
+                        });
+                        this.markInteractionDone(progress, i, step);
+
+                        if (i < interactionCount && !this.dryRun) {
+                            await sleep(step.delayMs, signal);
+                        }
+                    } catch (error) {
+                        this.progress('fail', `❌ Interaction failed: ${error.message}`);
+                        this.markInteractionDone(progress, i, step);
+                        // A transaction that timed out may still have landed, keep its signature for auditing
+                        const signature = error.cause?.signature;
+                        fail({
+                            walletIndex: wallet.index,
+                            type: typeLabel,
+                            stage: action,
+                            target: result.address,
+                            error: error.message,
+                            ...(signature && { signature })
+                        });
+                    }
+                }
+
+                progress.status = 'done';
+                this.state.save();
+
+            } catch (error) {
+                this.log('error', `\n❌ Error processing wallet: ${error.message}`);
+                progress.status = 'failed';
+                fail({
+                    walletIndex: wallet.index,
+                    type: isNft ? 'NFT Collection' : 'Token',
+                    stage: 'deploy',
+                    ...(mint && { target: mint }),
+                    error: error.message,
+                    ...(error.signature && { signature: error.signature })
+                });
+                // Other wallets keep running in parallel mode, there is nothing to wait for
+                if (concurrency === 1 && !this.dryRun) await this.afterWalletFailure?.(run.failures[run.failures.length - 1]);
+            } finally {
+                this.emit('wallet:done', { walletIndex: wallet.index, address: key, status: progress.status });
+            }
+        };
+
+        await runPool(wallets, concurrency, wallet => withWallet(wallet.index, () => processWallet(wallet)));
+
+        const stopped = Boolean(signal?.aborted);
+        if (stopped) {
+            this.state.save();
+            this.log('notice', `\n⏸️  Run ${run.id} stopped, resume it to continue`);
+        } else {
+            this.state.finishRun(run);
+        }
+
+        // Failures of the interrupted process count towards the resumed run's report
+        this.lastRun = {
+            run: {
+                id: run.id,
+                type: run.type,
+                status: stopped ? 'stopped' : run.status,
+                startedAt: run.startedAt,
+                finishedAt: run.finishedAt,
+                scenario: scenario.name,
+                seed: run.seed
+            },
+            deployments: this.deployments.slice(deploymentStart).sort(byWallet),
+            interactions: this.interactions.slice(interactionStart).sort(byWallet),
+            failures: [...run.failures].sort(byWallet)
+        };
+        const result = { ...this.lastRun, failures: failures.sort(byWallet) };
+        this.emit('run:done', result);
+        return result;
+    }
+
+    // Goes through runDeployment with every transaction simulated instead of sent. Nothing is saved:
+    // state, deployments and wallet token lists are put back afterwards. Returns the per-wallet
+    // estimate from summarizeDryRun.
+    async dryRunDeployment(options = {}) {
+        if (options.resume) throw new Error('An unfinished run cannot be dry run, resume or abandon it first');
+        if (options.type === 'nft' && !options.mint) {
+            throw new Error('Dry runs cover token deployments and interactions, NFT collections upload their assets while deploying');
+        }
+
+        const wallets = options.walletIndexes ? this.wallets.filter(w => options.walletIndexes.includes(w.index)) : this.wallets;
+        const saved = {
+            sender: this.sender,
+            state: this.state,
+            deployments: this.deployments,
+            interactions: this.interactions,
+            lastRun: this.lastRun,
+            tokenAccounts: this.wallets.map(w => new Map(w.tokenAccounts))
+        };
+        const sender = new DryRunSender(this.connection, this.sendOptions);
+        this.sender = sender;
+        this.state = this.state.detached();
+        this.deployments = [];
+        this.interactions = [];
+        this.dryRun = true;
+
+        try {
+            this.log('info', '\n🧪 Dry run: every transaction is simulated, nothing is sent or saved');
+            const balances = await this.getBalances(wallets);
+            const run = await this.runDeployment(options);
+            return summarizeDryRun({ run, records: sender.records, balances });
+        } finally {
+            this.sender = saved.sender;
+            this.state = saved.state;
+            this.deployments = saved.deployments;
+            this.interactions = saved.interactions;
+            this.lastRun = saved.lastRun;
+            this.wallets.forEach((w, i) => { w.tokenAccounts = saved.tokenAccounts[i]; });
+            this.dryRun = false;
+        }
+    }
+
+    // One token action outside of a run, for the menu and `token <action>`. It is checked like a
+    // scenario step, defaults included, and goes through the same pre-checks as scripted ones.
+    // Returns { message, transactions } with explorer links.
+    async runTokenAction({ wallet: ref, mint, action, amount, target, authority, seed = randomSeed() }) {
+        const wallet = this.findWallet(ref);
+        let scenario;
+        try {
+            scenario = parseScenario({ name: action, steps: [{ action, amount, target, authority }] }, 'token');
+        } catch (error) {
+            if (!(error instanceof ScenarioError)) throw error;
+            throw new ScenarioError(`Invalid ${action} action`, error.problems.map(problem => problem.replace('steps[0].', '')));
+        }
+        const step = scenarioStep(scenario, { seed, walletIndex: wallet.index, number: 1 });
+        const token = await this.loadExistingToken(wallet, mint, { holding: false });
+
+        this.progress('start', `Wallet #${wallet.index}: ${action} on ${token.address}`);
+        try {
+            const outcome = await this.performTokenInteraction(wallet, token, step);
+            this.progress('succeed', `✅ ${outcome.message}`);
+            return { ...outcome, transactions: this.withExplorerLinks(outcome.transactions) };
+        } catch (error) {
+            this.progress('fail', `❌ ${error.message}`);
+            throw error;
+        }
+    }
+
+    markInteractionDone(progress, i, step) {
+        progress.interactionsDone = i;
+        if (step.turn !== undefined) progress.roundRobin = step.turn + 1;
+        delete progress.pending;
+        this.state.save();
+    }
+
+    // Saves the last run's report in every configured format, returns the report data and the files by format
+    saveReport(result = this.lastRun ?? {}) {
+        this.lastReport = buildReport({
+            network: this.network.name,
+            rpcUrl: redactUrl(this.rpcUrl),
+            ...result
+        });
+        const files = writeReport(this.lastReport, this.config.reports);
+        this.lastReportFile = files.json;
+        this.log('success', `\n📄 Report saved to ${Object.values(files).join(', ')}`);
+        this.emit('report', { report: this.lastReport, files });
+
+        return { report: this.lastReport, files };
+    }
+
+    listReports() {
+        return listReports(this.config.reports.directory);
+    }
+
+    // Writes a saved report in another format next to its data file
+    exportReport(file, format) {
+        const report = readReport(file);
+        if (!report) throw new Error(`${file} is a text report from an older version and cannot be exported`);
+        const target = file.replace(/\.json$/, `.${format}`);
+        fs.writeFileSync(target, renderReport(report, format));
+        return target;
+    }
+}
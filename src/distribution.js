@@ -0,0 +1,264 @@
+/**
+ * Bulk token distribution
+ * Sends one mint from one wallet to a CSV list of recipients. The list is checked as a whole
+ * before anything is signed, several transfers go into each transaction, and every row's
+ * outcome is written to a result file that the next run reads to skip rows already sent.
+ *
+ *   address,amount
+ *   9xQeWvG816bUx9EPjHmaT23yvVM2ZWbrrpZb9PusVFin,150
+ *   HN7cABqLq46Es1jh92dQQisAq662SmxELLLsHHe4YWrH,12.5
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { PublicKey } from '@solana/web3.js';
+import { toBaseUnits } from './token-options.js';
+import { formatUnits } from './balances.js';
+import { sol } from './funds.js';
+
+// Each recipient may need an idempotent create ATA next to its transfer, five pairs stay well
+// inside the transaction size limit
+export const RECIPIENTS_PER_TRANSACTION = 5;
+
+const RESULT_COLUMNS = ['line', 'address', 'amount', 'status', 'signature', 'explorer', 'error'];
+
+export class DistributionError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+        this.name = 'DistributionError';
+        this.problems = problems;
+    }
+}
+
+const chunk = (items, size) => Array.from({ length: Math.ceil(items.length / size) }, (_, i) => items.slice(i * size, (i + 1) * size));
+
+// Quoted cells may hold commas and doubled quotes, as spreadsheets write them
+const splitCsvLine = (line) => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+};
+
+const csvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Recipients from CSV text: address and amount in token units (not base units), optionally under an
+// `address,amount` header in either order. Blank lines and lines starting with # are skipped.
+// Every bad row is reported at once, with its line number.
+export function parseRecipients(text, decimals, name = 'recipient list') {
+    const lines = text.split(/\r?\n/).map((line, i) => ({ number: i + 1, cells: splitCsvLine(line) }))
+        .filter(({ cells }) => !(cells.length === 1 && cells[0] === '') && !cells[0].startsWith('#'));
+
+    let columns = { address: 0, amount: 1 };
+    const header = lines[0]?.cells.map(cell => cell.toLowerCase());
+    if (header?.includes('address') && header.includes('amount')) {
+        columns = { address: header.indexOf('address'), amount: header.indexOf('amount') };
+        lines.shift();
+    }
+
+    const problems = [];
+    const recipients = lines.map(({ number, cells }) => {
+        const at = `line ${number}`;
+        const address = cells[columns.address] ?? '';
+        const amount = cells[columns.amount] ?? '';
+        let owner = null;
+        let units = null;
+        try {
+            owner = new PublicKey(address);
+        } catch {
+            problems.push(`${at}: "${address}" is not a valid address`);
+        }
+        try {
+            units = toBaseUnits(amount, decimals);
+            if (units === 0n) throw new Error('amount must be above 0');
+        } catch (error) {
+            problems.push(`${at}: ${amount === '' ? 'amount is missing' : error.message}`);
+        }
+        return { line: number, address: owner?.toBase58() ?? address, owner, amount: units };
+    });
+
+    if (recipients.length === 0) problems.push('no recipients');
+    if (problems.length > 0) throw new DistributionError(`Invalid ${name}`, problems);
+    return recipients;
+}
+
+// Result file next to the recipient list unless given
+export function resultFileFor(file) {
+    const { dir, name } = path.parse(file);
+    return path.join(dir, `${name}.results.csv`);
+}
+
+// Recipient and amount in base units, not the line: adding a header, a comment or removing a row
+// moves lines around without changing what was sent
+const rowKey = (row) => `${row.address}:${row.amount}`;
+
+// Rows of an earlier result file that were sent or whose transaction was never confirmed, as lists per
+// recipient and amount so a list paying the same recipient the same amount twice keeps both rows apart.
+// A missing file means nothing was sent yet.
+export function readSentRows(file) {
+    if (!fs.existsSync(file)) return new Map();
+    const [header, ...lines] = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line !== '');
+    const columns = splitCsvLine(header ?? '');
+    const sent = new Map();
+    for (const line of lines) {
+        const cells = splitCsvLine(line);
+        const row = Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? '']));
+        if (row.status !== 'sent' && row.status !== 'unknown') continue;
+        const key = rowKey(row);
+        sent.set(key, [...(sent.get(key) ?? []), row]);
+    }
+    return sent;
+}
+
+// recipients from parseRecipients, `balance` the sender's token balance in base units. `missingAta(row)`
+// says whether the recipient has no token account for the mint yet, `ataRent` is what creating one costs.
+// Rows `sent` by an earlier run (from readSentRows) are kept with their signature and not counted again.
+// Rows whose transaction was never confirmed stay unknown and block the distribution until the result
+// file says whether they landed.
+export function planDistribution({ sender, mint, decimals, recipients, balance, lamports, sent = new Map(), missingAta, ataRent, feePerTransaction }) {
+    // Each earlier row matches one row of the list
+    const previousRows = new Map([...sent].map(([key, rows]) => [key, [...rows]]));
+    const rows = recipients.map(recipient => {
+        const row = { ...recipient, createAta: false, status: 'pending', signature: null, error: null };
+        const previous = previousRows.get(rowKey(row))?.shift();
+        if (previous) {
+            return {
+                ...row,
+                status: previous.status === 'unknown' ? 'unknown' : 'done',
+                signature: previous.signature || null,
+                explorer: previous.explorer || null,
+                error: previous.error || null
+            };
+        }
+        return { ...row, createAta: missingAta(row) };
+    });
+
+    const pending = rows.filter(r => r.status === 'pending');
+    const batches = chunk(pending, RECIPIENTS_PER_TRANSACTION);
+    const total = pending.reduce((sum, r) => sum + r.amount, 0n);
+    // Several rows for one new recipient only create its account once
+    const newAccounts = new Set(pending.filter(r => r.createAta).map(r => r.address)).size;
+    const rent = newAccounts * ataRent;
+    const fees = batches.length * feePerTransaction;
+
+    const problems = [];
+    const unknown = rows.filter(r => r.status === 'unknown');
+    if (unknown.length > 0) {
+        const signatures = [...new Set(unknown.map(r => r.signature))];
+        problems.push(`lines ${unknown.map(r => r.line).join(', ')} were sent in transactions that were never confirmed (${signatures.join(', ')}), ` +
+            'check them in the explorer and set their status to sent or failed in the result file');
+    }
+    if (total > balance) {
+        problems.push(`the list sends ${formatUnits(total, decimals)} tokens, wallet #${sender.index} holds ${formatUnits(balance, decimals)}`);
+    }
+    if (rent + fees > lamports) {
+        problems.push(`wallet #${sender.index} needs ${sol(rent + fees)} SOL for token accounts and fees, it has ${sol(lamports)}`);
+    }
+
+    return {
+        sender,
+        mint,
+        decimals,
+        rows,
+        batches,
+        total,
+        balance,
+        newAccounts,
+        rent,
+        fees,
+        problems
+    };
+}
+
+// Every row with its latest outcome, written after each batch so an interrupted run loses nothing
+export function writeDistributionResults(file, plan) {
+    const dir = path.dirname(file);
+    if (dir !== '.') fs.mkdirSync(dir, { recursive: true });
+    const lines = [RESULT_COLUMNS.join(',')];
+    for (const row of plan.rows) {
+        // Rows sent by an earlier run stay sent for the next one
+        const status = row.status === 'done' ? 'sent' : row.status;
+        lines.push([row.line, row.address, row.amount, status, row.signature, row.explorer, row.error].map(csvCell).join(','));
+    }
+    fs.writeFileSync(file, lines.join('\n') + '\n');
+    return file;
+}
+
+const STATUS_COLORS = { pending: chalk.cyan, done: chalk.gray, sent: chalk.green, failed: chalk.red, unknown: chalk.yellow };
+
+export function renderDistributionPlan(plan) {
+    const table = new Table({ head: ['Line', 'Recipient', 'Amount', 'New account', 'Status'].map(h => chalk.yellow(h)) });
+    for (const row of plan.rows) {
+        table.push([
+            row.line,
+            row.address,
+            formatUnits(row.amount, plan.decimals),
+            row.createAta ? 'yes' : '-',
+            STATUS_COLORS[row.status](row.status === 'done' ? 'already sent' : row.status === 'unknown' ? 'not confirmed' : row.status)
+        ]);
+    }
+    const pending = plan.rows.filter(r => r.status === 'pending').length;
+    const done = plan.rows.filter(r => r.status === 'done').length;
+    return `${table.toString()}
+Sender: wallet #${plan.sender.index} ${plan.sender.address}, holds ${formatUnits(plan.balance, plan.decimals)} of ${plan.mint}
+Total ${formatUnits(plan.total, plan.decimals)} tokens to ${pending} rows in ${plan.batches.length} transactions${done > 0 ? `, ${done} rows already sent` : ''}
+New token accounts ${plan.newAccounts} (${sol(plan.rent)} SOL), fees ${sol(plan.fees)} SOL${plan.problems.length > 0
+        ? `\n${chalk.red(`Cannot distribute:\n  - ${plan.problems.join('\n  - ')}`)}`
+        : ''}`;
+}
+
+export function renderDistributionResults(plan) {
+    const table = new Table({ head: ['Line', 'Recipient', 'Amount', 'Result'].map(h => chalk.yellow(h)) });
+    for (const row of plan.rows) {
+        const result = row.status === 'failed' ? chalk.red(`❌ ${row.error}`)
+            : row.status === 'unknown' ? chalk.yellow(`⚠️  not confirmed, check ${row.signature}: ${row.error}`)
+            : row.status === 'done' ? chalk.gray(`already sent ${row.signature ?? ''}`)
+            : row.status === 'sent' ? chalk.green(`✅ ${row.explorer ?? row.signature}`)
+            : chalk.yellow('not sent');
+        table.push([row.line, row.address, formatUnits(row.amount, plan.decimals), result]);
+    }
+    return table.toString();
+}
+
+// The plan as plain JSON, amounts as base unit strings
+export function distributionToJson(plan) {
+    return {
+        sender: plan.sender,
+        mint: plan.mint,
+        decimals: plan.decimals,
+        total: plan.total.toString(),
+        balance: plan.balance.toString(),
+        newAccounts: plan.newAccounts,
+        rent: plan.rent,
+        fees: plan.fees,
+        problems: plan.problems,
+        resultFile: plan.resultFile,
+        rows: plan.rows.map(({ owner, ...row }) => ({ ...row, amount: row.amount.toString() }))
+    };
+}
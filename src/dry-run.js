@@ -0,0 +1,218 @@
+/**
+ * Dry runs
+ * DryRunSender stands in for TransactionSender: every transaction a run would send is built and
+ * signed as usual, then simulated instead of sent, and priced with its fee and the rent of the
+ * accounts it creates. Transactions that build on accounts an earlier one would have created
+ * cannot be simulated against the current chain state, they are priced and marked unverified.
+ */
+
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import {
+    PublicKey,
+    SystemInstruction,
+    SystemProgram,
+    TransactionMessage,
+    VersionedTransaction
+} from '@solana/web3.js';
+import {
+    ACCOUNT_SIZE,
+    ASSOCIATED_TOKEN_PROGRAM_ID,
+    TOKEN_2022_PROGRAM_ID,
+    ExtensionType,
+    getAccountLen,
+    getAccountLenForMint,
+    getMint
+} from '@solana/spl-token';
+import { TransactionSender, TransactionError } from './transaction-sender.js';
+import { actionLabel } from './reports.js';
+
+const TOKEN_METADATA_PROGRAM_ID = new PublicKey('metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s');
+
+// CreateMetadataAccountV3 allocates the metadata account at its maximum size
+const CREATE_METADATA_ACCOUNT_V3 = 33;
+const MAX_METADATA_LEN = 679;
+
+const sol = (lamports) => (lamports / 1e9).toFixed(6);
+
+export class DryRunSender extends TransactionSender {
+    constructor(connection, options = {}) {
+        super(connection, options);
+        this.created = new Set();
+        this.records = [];
+    }
+
+    // Same contract as TransactionSender.send, resolves with signature null and the simulated status
+    async send(transaction, signers, overrides = {}) {
+        const options = { ...this.options, ...overrides };
+        const instructions = Array.isArray(transaction) ? transaction : transaction.instructions;
+        const uniqueSigners = [...new Map(signers.map(s => [s.publicKey.toBase58(), s])).values()];
+        const payer = uniqueSigners[0].publicKey;
+
+        const { blockhash } = await this.connection.getLatestBlockhash('confirmed');
+        const message = new TransactionMessage({
+            payerKey: payer,
+            recentBlockhash: blockhash,
+            instructions: [...this.budgetInstructions(options), ...instructions]
+        }).compileToLegacyMessage();
+        const signed = new VersionedTransaction(message);
+        signed.sign(uniqueSigners);
+
+        const dependsOnRun = instructions.some(ix => ix.keys.some(k => this.created.has(k.pubkey.toBase58())));
+        const fee = await this.estimateFee(instructions, payer);
+        const rent = await this.rentFor(instructions);
+        const { value } = await this.connection.simulateTransaction(signed, { sigVerify: false, commitment: 'confirmed' });
+
+        const record = {
+            payer: payer.toBase58(),
+            instructions: instructions.length,
+            fee,
+            rent,
+            unitsConsumed: value.unitsConsumed ?? null,
+            logs: value.logs ?? [],
+            status: 'simulated',
+            error: null
+        };
+        this.records.push(record);
+
+        if (value.err) {
+            if (!dependsOnRun) {
+                const error = new TransactionError(`Simulation failed (${JSON.stringify(value.err)})`, { logs: record.logs });
+                // A failing transaction creates nothing
+                record.rent = 0;
+                record.status = 'failed';
+                record.error = error.message;
+                throw error;
+            }
+            record.status = 'unverified';
+        }
+
+        this.trackCreatedAccounts(instructions);
+        return { signature: null, slot: null, fee, status: record.status, attempts: 0, rent, unitsConsumed: record.unitsConsumed };
+    }
+
+    async lookup(signature) {
+        return { signature, slot: null, fee: null, status: 'simulated' };
+    }
+
+    trackCreatedAccounts(instructions) {
+        for (const ix of instructions) {
+            if (isCreateAccount(ix) || ix.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)) {
+                this.created.add(ix.keys[1].pubkey.toBase58());
+            } else if (isCreateMetadata(ix)) {
+                this.created.add(ix.keys[0].pubkey.toBase58());
+            }
+        }
+    }
+
+    // Lamports the transaction locks up in new accounts
+    async rentFor(instructions) {
+        let rent = 0;
+        for (const ix of instructions) {
+            if (isCreateAccount(ix)) {
+                rent += SystemInstruction.decodeCreateAccount(ix).lamports;
+            } else if (ix.programId.equals(ASSOCIATED_TOKEN_PROGRAM_ID)) {
+                const [, account, , mint, , tokenProgram] = ix.keys.map(k => k.pubkey);
+                if (this.created.has(account.toBase58()) || await this.connection.getAccountInfo(account)) continue;
+                rent += await this.connection.getMinimumBalanceForRentExemption(await this.tokenAccountLen(mint, tokenProgram));
+            } else if (isCreateMetadata(ix)) {
+                rent += await this.connection.getMinimumBalanceForRentExemption(MAX_METADATA_LEN);
+            }
+        }
+        return rent;
+    }
+
+    // Token-2022 accounts carry the extensions their mint requires, a mint from this run is not
+    // readable yet and gets the base size
+    async tokenAccountLen(mint, tokenProgram) {
+        if (!tokenProgram.equals(TOKEN_2022_PROGRAM_ID)) return ACCOUNT_SIZE;
+        if (!this.created.has(mint.toBase58())) {
+            try {
+                return getAccountLenForMint(await getMint(this.connection, mint, 'confirmed', tokenProgram));
+            } catch {
+                // Fall through to the base size
+            }
+        }
+        return getAccountLen([ExtensionType.ImmutableOwner]);
+    }
+}
+
+const isCreateAccount = (ix) =>
+    ix.programId.equals(SystemProgram.programId) && SystemInstruction.decodeInstructionType(ix) === 'Create';
+
+const isCreateMetadata = (ix) =>
+    ix.programId.equals(TOKEN_METADATA_PROGRAM_ID) && ix.data[0] === CREATE_METADATA_ACCOUNT_V3;
+
+// Per wallet: what the run would do, what it would cost and whether the balance covers it.
+// balances are getBalances() rows, run is what runDeployment returned.
+export function summarizeDryRun({ run, records, balances }) {
+    const wallets = balances.map(balance => {
+        const own = records.filter(r => r.payer === balance.address);
+        const rent = own.reduce((sum, r) => sum + r.rent, 0);
+        const fees = own.reduce((sum, r) => sum + r.fee, 0);
+        const count = (status) => own.filter(r => r.status === status).length;
+        const entries = (list) => list.filter(e => e.walletIndex === balance.index);
+        return {
+            index: balance.index,
+            address: balance.address,
+            lamports: balance.lamports,
+            transactions: own.length,
+            simulated: count('simulated'),
+            unverified: count('unverified'),
+            failed: count('failed'),
+            rent,
+            fees,
+            total: rent + fees,
+            after: balance.lamports - rent - fees,
+            deployments: entries(run.deployments),
+            interactions: entries(run.interactions),
+            failures: entries(run.failures),
+            records: own
+        };
+    });
+
+    return {
+        wallets,
+        transactions: records.length,
+        rent: wallets.reduce((sum, w) => sum + w.rent, 0),
+        fees: wallets.reduce((sum, w) => sum + w.fees, 0),
+        failures: wallets.reduce((sum, w) => sum + w.failures.length, 0)
+    };
+}
+
+export function renderDryRun(result) {
+    const table = new Table({
+        head: ['#', 'Wallet', 'Balance', 'Txs', 'Simulated', 'Unverified', 'Failed', 'Rent', 'Fees', 'After'].map(h => chalk.yellow(h))
+    });
+    for (const w of result.wallets) {
+        table.push([
+            w.index,
+            w.address,
+            sol(w.lamports),
+            w.transactions,
+            chalk.green(w.simulated),
+            w.unverified ? chalk.yellow(w.unverified) : 0,
+            w.failed ? chalk.red(w.failed) : 0,
+            sol(w.rent),
+            sol(w.fees),
+            w.after < 0 ? chalk.red(sol(w.after)) : sol(w.after)
+        ]);
+    }
+
+    const details = result.wallets.flatMap(w => [
+        chalk.yellow(`Wallet #${w.index}`),
+        ...w.deployments.map(d => chalk.green(`  ✅ would deploy ${d.type} ${d.address}`)),
+        ...w.interactions.map(i => chalk.green(`  ✅ ${i.action}: ${i.result}`)),
+        ...w.failures.map(f => chalk.red(`  ❌ ${actionLabel(f, 'failure')}: ${f.error}`)),
+        ...w.records.filter(r => r.status === 'failed').flatMap(r => r.logs.slice(-5).map(log => chalk.gray(`     ${log}`))),
+        ...(w.after < 0 ? [chalk.red(`  ❌ needs ${sol(-w.after)} SOL more than it holds`)] : []),
+        ''
+    ]);
+
+    return `
+${table.toString()}
+Total: ${result.transactions} transactions, rent ${sol(result.rent)} SOL, fees ${sol(result.fees)} SOL
+Unverified transactions use accounts an earlier transaction of the run creates, they are priced but cannot be simulated yet.
+
+${details.join('\n')}`;
+}
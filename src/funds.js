@@ -0,0 +1,223 @@
+/**
+ * Wallet funding and sweeping
+ * Plans SOL top-ups from a treasury wallet, and sweeps of SOL and SPL balances back to one
+ * address, as plain data. The plan is shown as a preview table before anything is signed.
+ */
+
+import chalk from 'chalk';
+import Table from 'cli-table3';
+
+// System transfers packed into one funding transaction, well inside the transaction size limit
+export const TRANSFERS_PER_TRANSACTION = 10;
+
+// Token accounts emptied per sweep transaction, each needs create ATA, transfer and close
+export const TOKEN_ACCOUNTS_PER_TRANSACTION = 4;
+
+export const sol = (lamports) => (lamports / 1e9).toFixed(6);
+
+export const toLamports = (amount) => Math.round(amount * 1e9);
+
+const chunk = (items, size) => Array.from({ length: Math.ceil(items.length / size) }, (_, i) => items.slice(i * size, (i + 1) * size));
+
+// balances: [{ index, address, lamports }] without the treasury. Wallets below `threshold` are topped
+// up to `target` in list order until the treasury, which keeps `reserve`, runs out. A wallet that
+// does not exist yet must receive at least `rentExempt`. Lamport amounts throughout.
+export function planFunding({ treasury, balances, threshold, target, feePerTransaction, reserve, rentExempt }) {
+    let available = treasury.lamports - reserve;
+    let inBatch = 0;
+    const rows = balances.map(balance => {
+        const row = { ...balance, amount: 0, after: balance.lamports, status: 'ok' };
+        if (balance.lamports >= threshold) return row;
+
+        row.amount = target - balance.lamports;
+        if (balance.lamports === 0 && row.amount < rentExempt) {
+            return { ...row, amount: 0, status: 'skip', reason: `below the ${sol(rentExempt)} SOL rent-exempt minimum for a new account` };
+        }
+        const fee = inBatch === 0 ? feePerTransaction : 0;
+        if (row.amount + fee > available) {
+            return { ...row, amount: 0, status: 'short', reason: 'treasury balance too low' };
+        }
+        available -= row.amount + fee;
+        inBatch = (inBatch + 1) % TRANSFERS_PER_TRANSACTION;
+        return { ...row, after: target, status: 'fund' };
+    });
+
+    const funded = rows.filter(r => r.status === 'fund');
+    const transactions = Math.ceil(funded.length / TRANSFERS_PER_TRANSACTION);
+    const total = funded.reduce((sum, r) => sum + r.amount, 0);
+    return {
+        treasury,
+        threshold,
+        target,
+        rows,
+        batches: chunk(funded, TRANSFERS_PER_TRANSACTION),
+        total,
+        fees: transactions * feePerTransaction,
+        treasuryAfter: treasury.lamports - total - transactions * feePerTransaction
+    };
+}
+
+// What happens to one token account of a swept wallet, from getParsedTokenAccountsByOwner data
+export function planTokenAccount({ pubkey, account, programId }, owner) {
+    const info = account.data.parsed.info;
+    const extensions = info.extensions ?? [];
+    const withheld = extensions.find(e => e.extension === 'transferFeeAmount')?.state.withheldAmount ?? 0;
+    const entry = {
+        account: pubkey.toBase58(),
+        mint: info.mint,
+        programId,
+        amount: info.tokenAmount.amount,
+        uiAmount: info.tokenAmount.uiAmountString,
+        decimals: info.tokenAmount.decimals,
+        rent: account.lamports,
+        space: account.data.space,
+        transfer: false,
+        close: false,
+        reason: null
+    };
+    const hasBalance = BigInt(entry.amount) > 0n;
+
+    if (info.state === 'frozen') return { ...entry, reason: 'account is frozen' };
+    if (info.closeAuthority && info.closeAuthority !== owner) {
+        return { ...entry, transfer: hasBalance && !info.isNative, reason: 'close authority is another account' };
+    }
+    // Closing a wrapped SOL account returns its whole balance as lamports
+    if (info.isNative) return { ...entry, rent: account.lamports, close: true };
+    if (hasBalance && extensions.some(e => e.extension === 'nonTransferableAccount')) {
+        return { ...entry, reason: 'token is non-transferable' };
+    }
+    if (Number(withheld) > 0) {
+        return { ...entry, transfer: hasBalance, reason: 'withheld transfer fees keep the account open' };
+    }
+    return { ...entry, transfer: hasBalance, close: true };
+}
+
+// wallets: [{ index, address, lamports, tokens: [planTokenAccount] }]. `newAtaRent(token)` is the
+// rent a wallet pays when the destination has no account for that mint yet. Token accounts are
+// emptied first, their rent comes back to the wallet and is swept with the rest of its SOL.
+export function planSweep({ destination, wallets, keep, tokenFee, solFee, rentExempt, destinationExists, newAtaRent }) {
+    const createdAtas = new Set();
+    let destinationFunded = destinationExists;
+
+    const rows = wallets.map(wallet => {
+        const atas = new Set();
+        const tokens = wallet.tokens.map(token => {
+            const ataKey = `${token.programId}:${token.mint}`;
+            // Paid once, later wallets find the account in place
+            const ataRent = token.transfer && !createdAtas.has(ataKey) && !atas.has(ataKey) ? newAtaRent(token) : 0;
+            if (ataRent > 0) atas.add(ataKey);
+            return { ...token, ataRent };
+        });
+        const active = tokens.filter(t => t.transfer || t.close);
+        const tokenBatches = chunk(active, TOKEN_ACCOUNTS_PER_TRANSACTION);
+        const rentRecovered = active.filter(t => t.close).reduce((sum, t) => sum + t.rent, 0);
+        const rentPaid = active.reduce((sum, t) => sum + t.ataRent, 0);
+        const tokenCost = rentPaid + tokenBatches.length * tokenFee;
+        const row = { ...wallet, tokens, tokenBatches, rentRecovered, rentPaid, fees: 0, amount: 0, status: 'skip', reason: null };
+
+        if (wallet.lamports < tokenCost) {
+            return { ...row, tokenBatches: [], rentRecovered: 0, rentPaid: 0, reason: 'not enough SOL for fees' };
+        }
+        atas.forEach(key => createdAtas.add(key));
+
+        const available = wallet.lamports + rentRecovered - tokenCost - solFee - keep;
+        const sendSol = available > 0 && (destinationFunded || available >= rentExempt);
+        if (sendSol) destinationFunded = true;
+
+        return {
+            ...row,
+            amount: sendSol ? available : 0,
+            fees: tokenBatches.length * tokenFee + (sendSol ? solFee : 0),
+            status: sendSol || active.length > 0 ? 'sweep' : 'skip',
+            reason: sendSol ? null
+                : available > 0 ? 'below the rent-exempt minimum of a new destination account'
+                : active.length > 0 ? 'no SOL left after fees'
+                : wallet.lamports > keep ? 'balance does not cover the fee' : 'nothing to sweep'
+        };
+    });
+
+    const swept = rows.filter(r => r.status === 'sweep');
+    return {
+        destination,
+        keep,
+        rows,
+        total: swept.reduce((sum, r) => sum + r.amount, 0),
+        fees: swept.reduce((sum, r) => sum + r.fees, 0),
+        rentRecovered: swept.reduce((sum, r) => sum + r.rentRecovered, 0),
+        rentPaid: swept.reduce((sum, r) => sum + r.rentPaid, 0)
+    };
+}
+
+const STATUS_COLORS = { fund: chalk.green, sweep: chalk.green, ok: chalk.gray, skip: chalk.yellow, short: chalk.red };
+
+export function renderFundingPlan(plan) {
+    const table = new Table({ head: ['#', 'Wallet', 'Balance', 'Top-up', 'After', 'Status'].map(h => chalk.yellow(h)) });
+    for (const row of plan.rows) {
+        table.push([
+            row.index,
+            row.address,
+            sol(row.lamports),
+            row.amount > 0 ? chalk.green(`+${sol(row.amount)}`) : '-',
+            sol(row.after),
+            STATUS_COLORS[row.status](row.reason ? `${row.status}: ${row.reason}` : row.status)
+        ]);
+    }
+    return `${table.toString()}
+Treasury #${plan.treasury.index} ${plan.treasury.address}: ${sol(plan.treasury.lamports)} SOL
+Top up below ${sol(plan.threshold)} SOL to ${sol(plan.target)} SOL
+Total ${sol(plan.total)} SOL to ${plan.rows.filter(r => r.status === 'fund').length} wallets in ${plan.batches.length} transactions, fees ${sol(plan.fees)} SOL
+Treasury after: ${sol(plan.treasuryAfter)} SOL`;
+}
+
+export function renderSweepPlan(plan) {
+    const table = new Table({ head: ['#', 'Wallet', 'Balance', 'Token accounts', 'Rent back', 'New ATAs', 'Fees', 'Sweep SOL', 'Status'].map(h => chalk.yellow(h)) });
+    for (const row of plan.rows) {
+        const tokens = row.tokens.map(t => {
+            const action = t.transfer && t.close ? 'send + close' : t.transfer ? 'send' : t.close ? 'close' : 'keep';
+            const text = `${t.mint.slice(0, 8)}… ${t.uiAmount} ${action}${t.reason ? ` (${t.reason})` : ''}`;
+            return action === 'keep' ? chalk.yellow(text) : text;
+        });
+        table.push([
+            row.index,
+            row.address,
+            sol(row.lamports),
+            tokens.join('\n') || '-',
+            row.rentRecovered > 0 ? sol(row.rentRecovered) : '-',
+            row.rentPaid > 0 ? sol(row.rentPaid) : '-',
+            row.fees > 0 ? sol(row.fees) : '-',
+            row.amount > 0 ? chalk.green(sol(row.amount)) : '-',
+            STATUS_COLORS[row.status](row.reason ? `${row.status}: ${row.reason}` : row.status)
+        ]);
+    }
+    return `${table.toString()}
+Destination: ${plan.destination}${plan.keep > 0 ? `, keeping ${sol(plan.keep)} SOL per wallet` : ''}
+Total ${sol(plan.total)} SOL, rent recovered ${sol(plan.rentRecovered)} SOL, new token accounts ${sol(plan.rentPaid)} SOL, fees ${sol(plan.fees)} SOL`;
+}
+
+// results: [{ index, what, signature, error }]
+export function renderTransferResults(results, explorerLink) {
+    const table = new Table({ head: ['#', 'Transfer', 'Result'].map(h => chalk.yellow(h)) });
+    for (const result of results) {
+        table.push([
+            result.index,
+            result.what,
+            result.error ? chalk.red(`❌ ${result.error}`) : chalk.green(`✅ ${explorerLink(result.signature) ?? result.signature}`)
+        ]);
+    }
+    return table.toString();
+}
+
+// Faucet results with each wallet's balance before and after
+export function renderAirdropResults(rows, explorerLink) {
+    const table = new Table({ head: ['#', 'Wallet Address', 'Before', 'After', 'Result'].map(h => chalk.yellow(h)) });
+    for (const row of rows) {
+        table.push([
+            chalk.green(`${row.index}`),
+            chalk.cyan(row.address),
+            chalk.green(`${(row.before / 1e9).toFixed(4)} SOL`),
+            chalk.green(`${(row.after / 1e9).toFixed(4)} SOL`),
+            row.error ? chalk.red(`❌ ${row.error}`) : chalk.green(`✅ ${explorerLink(row.signature) ?? row.signature}`)
+        ]);
+    }
+    return table.toString();
+}
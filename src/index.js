@@ -0,0 +1,114 @@
+/**
+ * Library entry
+ * Everything needed to drive the deployer from code: the engine, its options and events, and
+ * the pure helpers the CLI and the menu are built from. Importing it starts nothing and never
+ * touches stdin.
+ *
+ *   import { SonicDeployer } from 'sonic-deployer';
+ *
+ *   const deployer = new SonicDeployer({ network: 'devnet', passphrase: process.env.PASSPHRASE });
+ *   deployer.on('failure', failure => console.error(failure.error));
+ *   await deployer.init();
+ *   const run = await deployer.runDeployment({ type: 'token', interactionCount: 3 });
+ *   const { files } = deployer.saveReport(run);
+ */
+
+/**
+ * @typedef {object} SonicDeployerOptions
+ * @property {string} [configFile] Config file, sonic-config.json by default
+ * @property {object} [config] An already loaded config, skips reading configFile
+ * @property {string} [network] Network profile name from the config
+ * @property {string} [rpc] RPC URL, wins over the profile's
+ * @property {string} [keysFile] Plaintext key file, used instead of the keystore
+ * @property {string} [keystoreFile]
+ * @property {string} [stateFile]
+ * @property {string} [passphrase] Keystore passphrase, SONIC_KEYSTORE_PASSPHRASE otherwise
+ * @property {object} [transactions] Overrides of the config's transactions section
+ * @property {number} [rateLimit] Requests per second to the RPC, 0 for no limit
+ * @property {number} [interactionCount]
+ * @property {number} [interactionInterval] Minutes between interactions
+ * @property {number} [concurrency] Wallets processed at once
+ * @property {string|null} [logFile] JSON lines log file, wins over the config's logging.file, null turns it off
+ * @property {'debug'|'info'|'warn'|'error'} [logLevel]
+ * @property {string|null} [webhook] Webhook URL for notifications, wins over the config's notifications.webhook
+ * @property {(request: { file: string, create: boolean, attempt: number }) => Promise<string|null>} [promptPassphrase]
+ *   Asked when the keystore is locked and no passphrase was given. null gives up.
+ * @property {(failure: Failure) => Promise<void>} [afterWalletFailure]
+ *   Awaited after a wallet fails in a sequential run, before the next wallet starts
+ */
+
+/**
+ * @typedef {object} RunOptions
+ * @property {'token'|'nft'} [type]
+ * @property {object} [token] Token options from parseTokenOptions, the config's defaults otherwise
+ * @property {string} [mint] Interact with this existing mint instead of deploying
+ * @property {boolean} [reuse] Interact with each wallet's last deployment
+ * @property {object} [resume] An unfinished run from deployer.state.unfinishedRun()
+ * @property {number[]} [walletIndexes] Only these wallets (numbered from 1)
+ * @property {number} [interactionCount]
+ * @property {string} [scenario] Scenario file
+ * @property {number|string} [seed]
+ * @property {AbortSignal} [signal] Stops the run after the step in flight, it stays unfinished for resume
+ */
+
+/**
+ * @typedef {object} Failure
+ * @property {string} timestamp ISO date
+ * @property {number} walletIndex
+ * @property {string} stage deploy, balance or the interaction's action
+ * @property {string} [type]
+ * @property {string} [target]
+ * @property {string} error
+ * @property {string} [signature] Of a transaction that timed out and may still have landed
+ */
+
+/**
+ * @typedef {object} RunResult
+ * @property {{ id: string, type: string, status: string, startedAt: string, finishedAt: string, scenario: string, seed: number|string }} run
+ * @property {object[]} deployments { timestamp, walletIndex, type, address, explorer, transactions }
+ * @property {object[]} interactions { timestamp, walletIndex, type, action, target, result, transactions }
+ * @property {Failure[]} failures
+ */
+
+/**
+ * Events of SonicDeployer. Inside a run, walletIndex says which wallet a log or progress
+ * event is about (null outside of one).
+ *
+ * @typedef {object} DeployerEvents
+ * @property {{ level: 'info'|'success'|'notice'|'error'|'detail', message: string, walletIndex: number|null }} log
+ * @property {{ status: 'start'|'update'|'succeed'|'warn'|'fail', text: string, walletIndex: number|null }} progress
+ * @property {{ name: string, rpcUrl: string }} network rpcUrl with any API key masked
+ * @property {{ method: string|string[]|null, status: number|null, durationMs: number, walletIndex: number|null, error: string|null }} rpc
+ *   One JSON-RPC request, a batch lists its methods
+ * @property {{ signature: string|null, slot: number|null, fee: number|null, status: string, attempts: number, payer: string, instructions: number, durationMs: number, walletIndex: number|null, error: string|null }} transaction
+ *   A transaction sent through the send pipeline, confirmed or finally failed
+ * @property {{ payer: string, attempt: number, waitMs: number, walletIndex: number|null, error: string }} retry
+ * @property {{ walletIndex: number, address: string, lamports: number, minimum: number }} low-balance
+ *   A wallet skipped for being below settings.minBalance
+ * @property {{ id: string, type: string, network: string, resumed: boolean, dryRun: boolean, wallets: number[], concurrency: number, interactionCount: number, scenario: string, seed: number|string }} run:start
+ * @property {{ walletIndex: number, address: string }} wallet:start
+ * @property {object} deployment A deployment entry as in RunResult
+ * @property {object} interaction An interaction entry as in RunResult
+ * @property {Failure} failure
+ * @property {{ walletIndex: number, address: string, status: string }} wallet:done
+ * @property {RunResult} run:done
+ * @property {{ report: object, files: Object<string, string> }} report
+ */
+
+export { SonicDeployer } from './deployer.js';
+export { attachConsoleOutput } from './console-output.js';
+export { promptPassphrase } from './prompt.js';
+export { loadConfig, saveConfig, validateConfig, getNetwork, explorerUrl, redactUrl, ConfigError, DEFAULT_CONFIG, DAEMON_COMMANDS } from './config.js';
+export { Keystore, KeystoreError, KeyFormatError, parseKeySource } from './keystore.js';
+export { parseTokenOptions, describeTokenOptions, TOKEN_PROGRAMS } from './token-options.js';
+export { parseScenario, loadScenario, defaultScenario, createRng, ScenarioError, SCENARIO_ACTIONS } from './scenario.js';
+export { TransactionSender, TransactionError } from './transaction-sender.js';
+export { JsonLog, attachJsonLog, LOG_LEVELS } from './logger.js';
+export { WebhookNotifier, attachNotifications, NOTIFICATION_EVENTS } from './notifications.js';
+export { Daemon, readDaemonStatus, renderDaemonStatus } from './daemon.js';
+export { parseSchedule, nextRun, ScheduleError } from './schedule.js';
+export { summarizeDryRun, renderDryRun } from './dry-run.js';
+export { buildSnapshot, renderSnapshot, snapshotToCsv, writeSnapshot } from './balances.js';
+export { parseRecipients, planDistribution, renderDistributionPlan, distributionToJson, DistributionError } from './distribution.js';
+export { buildReport, renderReport, renderText, writeReport, listReports, readReport, REPORT_FORMATS } from './reports.js';
+export { loadReports, searchReports, diffReports, aggregateReports } from './report-browser.js';
@@ -0,0 +1,347 @@
+/**
+ * Encrypted wallet keystore
+ * Secret keys are encrypted with AES-256-GCM under a key derived from a passphrase with scrypt.
+ * Public keys and labels stay readable so wallets can be listed without unlocking.
+ * Keys come in as base58 secret keys, Solana CLI JSON keypair files or BIP39 mnemonics.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { promisify } from 'util';
+import { Keypair } from '@solana/web3.js';
+import { mnemonicToSeedSync, validateMnemonic } from '@scure/bip39';
+import { wordlist } from '@scure/bip39/wordlists/english';
+import bs58 from 'bs58';
+import chalk from 'chalk';
+import Table from 'cli-table3';
+
+export const KEYSTORE_FILE = 'sonic-keystore.json';
+
+// Solana CLI and most wallets derive the first account at this path
+export const DEFAULT_DERIVATION_PATH = "m/44'/501'/0'/0'";
+
+const KEYSTORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const CHECK_TEXT = 'sonic-keystore';
+
+const scrypt = promisify(crypto.scrypt);
+
+export class KeyFormatError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+        this.name = 'KeyFormatError';
+        this.problems = problems;
+    }
+}
+
+export class KeystoreError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'KeystoreError';
+    }
+}
+
+// A 64 byte secret key must carry its own public key in the second half
+const keypairFromBytes = (bytes, what) => {
+    if (bytes.length !== 64) {
+        throw new KeyFormatError(`${what} is ${bytes.length} bytes, a secret key is 64 bytes`);
+    }
+    try {
+        return Keypair.fromSecretKey(Uint8Array.from(bytes));
+    } catch {
+        throw new KeyFormatError(`${what} is not a valid ed25519 secret key (public key half does not match)`);
+    }
+};
+
+export function parseBase58Key(text, what = 'Key') {
+    let bytes;
+    try {
+        bytes = bs58.decode(text);
+    } catch {
+        const bad = [...text].find(ch => !/[1-9A-HJ-NP-Za-km-z]/.test(ch));
+        throw new KeyFormatError(`${what} is not base58${bad ? ` (contains "${bad}")` : ''}`);
+    }
+    return keypairFromBytes(bytes, what);
+}
+
+// Solana CLI keypair files are a JSON array of the 64 secret key bytes
+export function parseJsonKeypair(text, what = 'Keypair file') {
+    let bytes;
+    try {
+        bytes = JSON.parse(text);
+    } catch (error) {
+        throw new KeyFormatError(`${what} is not valid JSON (${error.message})`);
+    }
+    if (!Array.isArray(bytes) || bytes.some(b => !Number.isInteger(b) || b < 0 || b > 255)) {
+        throw new KeyFormatError(`${what} must be a JSON array of numbers between 0 and 255`);
+    }
+    return keypairFromBytes(bytes, what);
+}
+
+// SLIP-0010 ed25519 derivation, every level is hardened
+export function deriveEd25519Seed(seed, derivationPath) {
+    if (!/^m(\/\d+')+$/.test(derivationPath)) {
+        throw new KeyFormatError(`Derivation path ${derivationPath} must look like ${DEFAULT_DERIVATION_PATH}, ed25519 only supports hardened (') levels`);
+    }
+
+    let digest = crypto.createHmac('sha512', 'ed25519 seed').update(seed).digest();
+    for (const level of derivationPath.split('/').slice(1)) {
+        const index = Number(level.slice(0, -1));
+        if (index >= 0x80000000) throw new KeyFormatError(`Derivation path index ${index} is too large`);
+        const data = Buffer.alloc(37);
+        digest.copy(data, 1, 0, 32);
+        data.writeUInt32BE(index + 0x80000000, 33);
+        digest = crypto.createHmac('sha512', digest.subarray(32)).update(data).digest();
+    }
+    return digest.subarray(0, 32);
+}
+
+export function normalizeMnemonic(text) {
+    return text.trim().toLowerCase().split(/\s+/).join(' ');
+}
+
+export function looksLikeMnemonic(text) {
+    return /^[a-z]+(\s+[a-z]+){11,23}$/i.test(text.trim());
+}
+
+// One keypair per derivation path, the default path when none are given
+export function keypairsFromMnemonic(text, derivationPaths = [DEFAULT_DERIVATION_PATH]) {
+    const mnemonic = normalizeMnemonic(text);
+    const words = mnemonic.split(' ');
+    if (![12, 15, 18, 21, 24].includes(words.length)) {
+        throw new KeyFormatError(`Mnemonic has ${words.length} words, expected 12, 15, 18, 21 or 24`);
+    }
+    const unknown = words.map((word, i) => ({ word, i })).filter(({ word }) => !wordlist.includes(word));
+    if (unknown.length > 0) {
+        throw new KeyFormatError('Mnemonic contains words outside the BIP39 English word list',
+            unknown.map(({ word, i }) => `word ${i + 1}: "${word}"`));
+    }
+    if (!validateMnemonic(mnemonic, wordlist)) {
+        throw new KeyFormatError('Mnemonic checksum does not match, check the word order and spelling');
+    }
+
+    const seed = mnemonicToSeedSync(mnemonic);
+    return derivationPaths.map(derivationPath => ({
+        keypair: Keypair.fromSeed(deriveEd25519Seed(seed, derivationPath)),
+        derivationPath
+    }));
+}
+
+// Reads any supported key source: a JSON keypair file, a mnemonic, or base58 keys one per line.
+// Every malformed line is reported, not just the first.
+export function parseKeySource(text, name, { derivationPaths } = {}) {
+    const trimmed = text.trim();
+    if (trimmed.length === 0) throw new KeyFormatError(`${name} is empty`);
+
+    if (trimmed.startsWith('[')) {
+        return [{ keypair: parseJsonKeypair(trimmed, name), source: 'json' }];
+    }
+    if (looksLikeMnemonic(trimmed)) {
+        return keypairsFromMnemonic(trimmed, derivationPaths)
+            .map(({ keypair, derivationPath }) => ({ keypair, source: 'mnemonic', derivationPath }));
+    }
+
+    const keys = [];
+    const problems = [];
+    trimmed.split('\n').forEach((line, i) => {
+        const key = line.trim();
+        if (key.length === 0 || key.startsWith('#')) return;
+        try {
+            keys.push({ keypair: parseBase58Key(key, 'key'), source: 'base58', line: i + 1 });
+        } catch (error) {
+            problems.push(`line ${i + 1}: ${error.message}`);
+        }
+    });
+    if (problems.length > 0) throw new KeyFormatError(`${name} has malformed keys`, problems);
+    return keys;
+}
+
+const encrypt = (key, plaintext, aad) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+};
+
+const decrypt = (key, { iv, tag, data }, aad) => {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+};
+
+export class Keystore {
+    constructor(file = KEYSTORE_FILE) {
+        this.file = file;
+        this.key = null;
+        this.data = null;
+        if (fs.existsSync(file)) {
+            try {
+                this.data = JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                throw new KeystoreError(`Keystore ${file} is not valid JSON (${error.message})`);
+            }
+            if (this.data.version !== KEYSTORE_VERSION || !Array.isArray(this.data.wallets)) {
+                throw new KeystoreError(`Keystore ${file} has an unsupported format`);
+            }
+        }
+    }
+
+    get exists() {
+        return this.data !== null;
+    }
+
+    get unlocked() {
+        return this.key !== null;
+    }
+
+    // Creates the keystore on first use, otherwise checks the passphrase against it
+    async unlock(passphrase) {
+        if (!passphrase) throw new KeystoreError('A passphrase is required');
+        if (!this.exists) {
+            const salt = crypto.randomBytes(16);
+            this.key = await this.deriveKey(passphrase, salt, SCRYPT_PARAMS);
+            this.data = {
+                version: KEYSTORE_VERSION,
+                kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS },
+                check: null,
+                wallets: []
+            };
+            this.data.check = encrypt(this.key, Buffer.from(CHECK_TEXT), CHECK_TEXT);
+            return;
+        }
+
+        const { salt, N, r, p } = this.data.kdf;
+        const key = await this.deriveKey(passphrase, Buffer.from(salt, 'base64'), { N, r, p });
+        try {
+            decrypt(key, this.data.check, CHECK_TEXT);
+        } catch {
+            throw new KeystoreError('Wrong passphrase');
+        }
+        this.key = key;
+    }
+
+    async deriveKey(passphrase, salt, { N, r, p }) {
+        return scrypt(passphrase.normalize('NFKC'), salt, 32, { N, r, p, maxmem: 256 * N * r });
+    }
+
+    requireUnlocked() {
+        if (!this.unlocked) throw new KeystoreError('Keystore is locked');
+    }
+
+    list() {
+        return (this.data?.wallets ?? []).map((wallet, i) => ({ index: i + 1, ...wallet }));
+    }
+
+    // A wallet by list number, public key or label
+    find(ref) {
+        const wallets = this.list();
+        const text = String(ref).trim();
+        const wallet = /^\d+$/.test(text)
+            ? wallets[parseInt(text) - 1]
+            : wallets.find(w => w.publicKey === text || w.label === text);
+        if (!wallet) throw new KeystoreError(`No wallet ${text} in ${this.file}`);
+        return wallet;
+    }
+
+    // `label` as is for a single key, numbered for several. A label already in use gets the next free
+    // number, so a label always points at one wallet.
+    nextLabel(label, numbered) {
+        const used = new Set(this.data.wallets.map(w => w.label));
+        if (!numbered && !used.has(label)) return label;
+        let n = numbered ? 1 : 2;
+        while (used.has(`${label} ${n}`)) n++;
+        return `${label} ${n}`;
+    }
+
+    // Adds keypairs, skipping ones already stored. Returns { added, skipped } public keys.
+    add(entries, { label } = {}) {
+        this.requireUnlocked();
+        const added = [];
+        const skipped = [];
+        for (const { keypair, source, derivationPath } of entries) {
+            const publicKey = keypair.publicKey.toBase58();
+            if (this.data.wallets.some(w => w.publicKey === publicKey)) {
+                skipped.push(publicKey);
+                continue;
+            }
+            this.data.wallets.push({
+                publicKey,
+                label: label ? this.nextLabel(label, entries.length > 1) : null,
+                source,
+                ...(derivationPath && { derivationPath }),
+                addedAt: new Date().toISOString(),
+                secret: encrypt(this.key, Buffer.from(keypair.secretKey), publicKey)
+            });
+            added.push(publicKey);
+        }
+        return { added, skipped };
+    }
+
+    keypair(ref) {
+        this.requireUnlocked();
+        const wallet = this.find(ref);
+        try {
+            return Keypair.fromSecretKey(decrypt(this.key, wallet.secret, wallet.publicKey));
+        } catch {
+            throw new KeystoreError(`Wallet ${wallet.publicKey} could not be decrypted, the keystore may be damaged`);
+        }
+    }
+
+    keypairs() {
+        return this.list().map(wallet => ({ ...wallet, keypair: this.keypair(wallet.index) }));
+    }
+
+    // format: base58 (as in private-sonic.txt) or json (Solana CLI keypair file)
+    exportKey(ref, format = 'base58') {
+        const { secretKey } = this.keypair(ref);
+        if (format === 'json') return JSON.stringify([...secretKey]);
+        if (format === 'base58') return bs58.encode(secretKey);
+        throw new KeystoreError(`Unknown export format ${format}, use base58 or json`);
+    }
+
+    setLabel(ref, label) {
+        const wallet = this.find(ref);
+        if (label && this.data.wallets.some(w => w.label === label && w.publicKey !== wallet.publicKey)) {
+            throw new KeystoreError(`Label "${label}" is already used`);
+        }
+        this.data.wallets[wallet.index - 1].label = label || null;
+    }
+
+    remove(ref) {
+        const wallet = this.find(ref);
+        this.data.wallets.splice(wallet.index - 1, 1);
+        return wallet;
+    }
+
+    // Owner-only permissions, written atomically like the state file
+    save() {
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+        fs.renameSync(tmp, this.file);
+    }
+}
+
+// Keystore.list() as a table, no secrets involved
+export function renderKeystore(wallets) {
+    if (wallets.length === 0) return chalk.yellow('\nThe keystore is empty');
+    const table = new Table({
+        head: ['#', 'Label', 'Address', 'Source'].map(h => chalk.yellow(h))
+    });
+    wallets.forEach(w => table.push([
+        w.index,
+        w.label ?? '',
+        w.publicKey,
+        w.derivationPath ? `${w.source} ${w.derivationPath}` : w.source
+    ]));
+    return table.toString();
+}
+
+// What Keystore.add() took in and left out
+export function renderImport({ added, skipped }) {
+    return [
+        ...added.map(publicKey => chalk.green(`✅ Imported ${publicKey}`)),
+        ...skipped.map(publicKey => chalk.gray(`⏭️  ${publicKey} is already in the keystore`))
+    ].join('\n');
+}
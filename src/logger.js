@@ -0,0 +1,85 @@
+/**
+ * Structured log file
+ * Appends a deployer's events to a JSON lines file, one object per line, so an unattended run
+ * leaves a trace of its transactions and errors, and at level debug of every RPC call. Off until
+ * logging.file (or --log-file) names a file. Lines are written synchronously, a crash cannot lose
+ * the ones before it.
+ *
+ *   {"time":"2026-10-19T09:00:01.123Z","level":"info","event":"transaction","walletIndex":2,"signature":"5h…","status":"confirmed"}
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Console log levels of the deployer's `log` event
+const MESSAGE_LEVELS = {
+    detail: 'debug',
+    info: 'info',
+    success: 'info',
+    notice: 'warn',
+    error: 'error'
+};
+
+// Emoji and the blank lines the console output spaces things with
+const plainMessage = (message) => message.replace(/[\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}\u{2B00}-\u{2BFF}\u{FE0F}\u{23E9}-\u{23FA}]/gu, '').trim();
+
+export class JsonLog {
+    constructor(file, { level = 'info' } = {}) {
+        if (!LOG_LEVELS.includes(level)) throw new Error(`Unknown log level "${level}", use ${LOG_LEVELS.join(', ')}`);
+        this.file = file;
+        this.minimum = LOG_LEVELS.indexOf(level);
+        const dir = path.dirname(file);
+        if (dir !== '.') fs.mkdirSync(dir, { recursive: true });
+    }
+
+    write(level, event, fields = {}) {
+        if (LOG_LEVELS.indexOf(level) < this.minimum) return;
+        const entry = { time: new Date().toISOString(), level, event, ...fields };
+        fs.appendFileSync(this.file, JSON.stringify(entry, (key, value) => (typeof value === 'bigint' ? value.toString() : value)) + '\n');
+    }
+}
+
+// Writes every event of `deployer` to `log`, a JsonLog. Returns a function that stops logging.
+export function attachJsonLog(deployer, log) {
+    // Entries inside a run carry its id
+    let runId = null;
+    const handlers = {
+        'log': ({ level, message, walletIndex }) => log.write(MESSAGE_LEVELS[level] ?? 'info', 'message', { runId, walletIndex, message: plainMessage(message) }),
+        'progress': ({ status, text, walletIndex }) => {
+            if (status === 'start' || status === 'update') return;
+            log.write(status === 'fail' ? 'error' : status === 'warn' ? 'warn' : 'info', 'step', { runId, walletIndex, status, message: plainMessage(text) });
+        },
+        'rpc': (call) => log.write(call.error || call.status >= 400 ? 'warn' : 'debug', 'rpc', { runId, ...call }),
+        'transaction': (tx) => log.write(tx.error ? 'error' : 'info', 'transaction', { runId, ...tx }),
+        'retry': (retry) => log.write('warn', 'retry', { runId, ...retry }),
+        'network': (network) => log.write('info', 'network', network),
+        'run:start': ({ id, ...run }) => {
+            runId = id;
+            log.write('info', 'run:start', { runId, ...run });
+        },
+        'wallet:start': (wallet) => log.write('info', 'wallet:start', { runId, ...wallet }),
+        'low-balance': (balance) => log.write('warn', 'low-balance', { runId, ...balance }),
+        'deployment': (entry) => log.write('info', 'deployment', { runId, ...entry }),
+        'interaction': (entry) => log.write('info', 'interaction', { runId, ...entry }),
+        'failure': (failure) => log.write('error', 'failure', { runId, ...failure }),
+        'wallet:done': (wallet) => log.write(wallet.status === 'failed' ? 'error' : 'info', 'wallet:done', { runId, ...wallet }),
+        'run:done': ({ run, deployments, interactions, failures }) => {
+            log.write(failures.length > 0 ? 'warn' : 'info', 'run:done', {
+                runId: run.id,
+                status: run.status,
+                startedAt: run.startedAt,
+                finishedAt: run.finishedAt,
+                deployments: deployments.length,
+                interactions: interactions.length,
+                failures: failures.length
+            });
+            runId = null;
+        },
+        'report': ({ files }) => log.write('info', 'report', { files })
+    };
+
+    Object.entries(handlers).forEach(([event, handler]) => deployer.on(event, handler));
+    return () => Object.entries(handlers).forEach(([event, handler]) => deployer.off(event, handler));
+}
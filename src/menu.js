@@ -0,0 +1,819 @@
+/**
+ * Interactive menu
+ * The numbered menus of `node deploy.js`, one consumer of SonicDeployer: it asks the questions,
+ * prints the deployer's events through console output and renders every result.
+ */
+
+import fs from 'fs';
+import chalk from 'chalk';
+import ora from 'ora';
+import { SonicDeployer } from './deployer.js';
+import { attachConsoleOutput } from './console-output.js';
+import { question, questionHidden, closePrompt, promptPassphrase } from './prompt.js';
+import { parseTokenOptions, toBaseUnits } from './token-options.js';
+import { KeystoreError, DEFAULT_DERIVATION_PATH, renderKeystore, renderImport } from './keystore.js';
+import { renderDryRun } from './dry-run.js';
+import { renderDistributionPlan, renderDistributionResults, resultFileFor } from './distribution.js';
+import { loadScenario, SCENARIO_ACTIONS, DEFAULT_AMOUNTS, DEFAULT_TARGETS } from './scenario.js';
+import { renderSnapshot, writeSnapshot } from './balances.js';
+import { renderText, readReport, REPORT_FORMATS } from './reports.js';
+import {
+    loadReports,
+    searchReports,
+    diffReports,
+    aggregateReports,
+    renderRunList,
+    renderSearchResults,
+    renderDiff,
+    renderDashboard
+} from './report-browser.js';
+import { renderFundingPlan, renderSweepPlan, renderTransferResults, renderAirdropResults } from './funds.js';
+import { explorerUrl, redactUrl, ConfigError } from './config.js';
+
+// ASCII Art Logo
+const ONIXIA_LOGO = `
+╔═══════════════════════════════════════════╗
+║                 ONIXIA                    ║
+║        Sonic Smart Contract Tool          ║
+╚═══════════════════════════════════════════╝
+`;
+
+// Clear screen utility
+const clearScreen = () => {
+    console.clear();
+    console.log(chalk.yellow(ONIXIA_LOGO));
+};
+
+export class InteractiveMenu {
+    constructor(deployer) {
+        this.deployer = deployer;
+    }
+
+    async selectNetwork() {
+        const names = Object.keys(this.deployer.config.networks);
+        console.log(chalk.cyan('\nNetworks:'));
+        names.forEach((name, i) => {
+            const marker = name === this.deployer.network.name ? chalk.yellow(' (current)') : '';
+            console.log(chalk.green(`${i + 1}. ${name} - ${redactUrl(this.deployer.config.networks[name].rpc)}`) + marker);
+        });
+
+        const choice = await question(chalk.yellow(`\nSelect network (Enter to keep ${this.deployer.network.name}): `));
+        if (!choice) return false;
+
+        const name = names[parseInt(choice) - 1];
+        if (!name) {
+            console.log(chalk.red('❌ Invalid choice'));
+            return false;
+        }
+        this.deployer.useNetwork(name);
+        return true;
+    }
+
+    async manageWallets() {
+        while (true) {
+            clearScreen();
+            console.log(chalk.yellow(`\n👛 Wallets (${this.deployer.keystore.file})`));
+            console.log(chalk.green('1. List Wallets'));
+            console.log(chalk.green('2. Import Keys from a File'));
+            console.log(chalk.green('3. Import a Secret Key or Mnemonic'));
+            console.log(chalk.green('4. Export a Wallet'));
+            console.log(chalk.green('5. Label a Wallet'));
+            console.log(chalk.green('6. Remove a Wallet'));
+            console.log(chalk.green('7. Return'));
+
+            const choice = await question(chalk.yellow('\nEnter your choice (1-7): '));
+            if (choice === '7') return;
+
+            try {
+                switch (choice) {
+                    case '1':
+                        console.log(renderKeystore(this.deployer.keystore.list()));
+                        break;
+
+                    case '2': {
+                        const file = (await question(chalk.yellow('Key file (base58 lines, Solana CLI JSON keypair or mnemonic): '))).trim();
+                        if (!file) continue;
+                        const label = (await question(chalk.yellow('Label (optional): '))).trim();
+                        console.log(renderImport(await this.deployer.importKeys(fs.readFileSync(file, 'utf8'), file, { label })));
+                        break;
+                    }
+
+                    case '3': {
+                        const secret = await questionHidden(chalk.yellow('Base58 secret key or mnemonic (hidden): '));
+                        if (!secret.trim()) continue;
+                        let derivationPaths;
+                        if (secret.trim().includes(' ')) {
+                            const derivationPath = (await question(chalk.yellow(`Derivation path (${DEFAULT_DERIVATION_PATH}): `))).trim();
+                            derivationPaths = [derivationPath || DEFAULT_DERIVATION_PATH];
+                        }
+                        const label = (await question(chalk.yellow('Label (optional): '))).trim();
+                        console.log(renderImport(await this.deployer.importKeys(secret, 'Input', { label, derivationPaths })));
+                        break;
+                    }
+
+                    case '4': {
+                        console.log(renderKeystore(this.deployer.keystore.list()));
+                        const ref = (await question(chalk.yellow('\nWallet number, label or address: '))).trim();
+                        if (!ref) continue;
+                        const format = (await question(chalk.yellow('Format - base58 or json (base58): '))).trim() || 'base58';
+                        await this.deployer.unlockKeystore();
+                        console.log(chalk.red('\n⚠️  Anyone with this key controls the wallet'));
+                        console.log(this.deployer.keystore.exportKey(ref, format));
+                        break;
+                    }
+
+                    case '5': {
+                        console.log(renderKeystore(this.deployer.keystore.list()));
+                        const ref = (await question(chalk.yellow('\nWallet number, label or address: '))).trim();
+                        if (!ref) continue;
+                        const label = (await question(chalk.yellow('New label (Enter clears it): '))).trim();
+                        this.deployer.keystore.setLabel(ref, label);
+                        this.deployer.keystore.save();
+                        console.log(chalk.green('✅ Label saved'));
+                        break;
+                    }
+
+                    case '6': {
+                        console.log(renderKeystore(this.deployer.keystore.list()));
+                        const ref = (await question(chalk.yellow('\nWallet number, label or address: '))).trim();
+                        if (!ref) continue;
+                        const wallet = this.deployer.keystore.find(ref);
+                        await this.deployer.unlockKeystore();
+                        const confirm = await question(chalk.red(`Remove ${wallet.publicKey}? Export it first if you still need it (y/N): `));
+                        if (confirm.toLowerCase() !== 'y') continue;
+                        this.deployer.keystore.remove(ref);
+                        this.deployer.keystore.save();
+                        console.log(chalk.green('✅ Wallet removed'));
+                        break;
+                    }
+
+                    default:
+                        continue;
+                }
+
+                // The loaded wallet list follows the keystore
+                if (['2', '3', '5', '6'].includes(choice) && this.deployer.wallets && !this.deployer.keysFileOverride) {
+                    await this.deployer.init();
+                }
+            } catch (error) {
+                console.log(chalk.red(`\n❌ ${error.message}`));
+            }
+            await question(chalk.yellow('\nPress Enter to continue...'));
+        }
+    }
+
+    async promptTokenOptions() {
+        console.log(chalk.cyan('\n🪙 Token options (Enter to skip / keep the default)'));
+        const input = {
+            name: await question(chalk.yellow('Name: ')),
+            symbol: await question(chalk.yellow('Symbol: ')),
+            uri: await question(chalk.yellow('Metadata URI: ')),
+            decimals: await question(chalk.yellow(`Decimals (${this.deployer.settings.tokenDecimals}): `)),
+            supply: await question(chalk.yellow('Initial supply (0): ')),
+            program: await question(chalk.yellow('Token program - token or token-2022 (token): ')),
+            mintAuthority: await question(chalk.yellow('Mint authority - keep, revoke or an address (keep): ')),
+            freezeAuthority: await question(chalk.yellow('Freeze authority - keep, disable or an address (keep): '))
+        };
+
+        if (input.program.trim() === 'token-2022') {
+            console.log(chalk.cyan('\n🧩 Token-2022 extensions (Enter to skip)'));
+            input.transferFee = await question(chalk.yellow('Transfer fee in basis points: '));
+            if (input.transferFee) input.maxFee = await question(chalk.yellow('Maximum fee per transfer (no limit): '));
+            input.interestRate = await question(chalk.yellow('Interest rate in basis points: '));
+            input.nonTransferable = (await question(chalk.yellow('Non-transferable? (y/N): '))).toLowerCase() === 'y';
+            input.metadataPointer = (await question(chalk.yellow('Metadata pointer? (y/N, always on with a name): '))).toLowerCase() === 'y';
+            input.permanentDelegate = await question(chalk.yellow('Permanent delegate - self or an address: '));
+        }
+
+        return parseTokenOptions(input, { decimals: this.deployer.settings.tokenDecimals });
+    }
+
+    async promptExistingMint() {
+        const tokens = this.deployer.knownTokens().slice(0, 20);
+        if (tokens.length > 0) {
+            console.log(chalk.cyan('\nPreviously deployed tokens:'));
+            tokens.forEach((token, i) => {
+                const label = token.name ? ` ${token.name}${token.symbol ? ` (${token.symbol})` : ''}` : '';
+                console.log(chalk.green(`${i + 1}. ${token.address}${label} - wallet #${token.walletIndex}`));
+            });
+        }
+
+        const answer = (await question(chalk.yellow(`\n${tokens.length > 0 ? 'Select a token number or paste' : 'Paste'} a mint address: `))).trim();
+        if (!answer) return null;
+        if (/^\d+$/.test(answer) && tokens[parseInt(answer) - 1]) {
+            return tokens[parseInt(answer) - 1].address;
+        }
+        return answer;
+    }
+
+    // One action on one mint by one wallet, outside of a run
+    async tokenActionMenu() {
+        const mint = await this.promptExistingMint();
+        if (!mint) return;
+        const wallet = (await question(chalk.yellow('Wallet that acts (number, label or address): '))).trim();
+        if (!wallet) return;
+        console.log(chalk.cyan(`\nActions: ${SCENARIO_ACTIONS.token.join(', ')}`));
+        const action = (await question(chalk.yellow('Action: '))).trim();
+        if (!action) return;
+
+        const input = { wallet, mint, action };
+        if (DEFAULT_AMOUNTS[action]) {
+            const amount = (await question(chalk.yellow('Amount in base units: '))).trim();
+            if (!amount) return;
+            input.amount = toBaseUnits(amount, 0);
+        }
+        if (action === 'set-authority') {
+            input.authority = (await question(chalk.yellow('Authority - mint or freeze (mint): '))).trim() || undefined;
+        }
+        if (DEFAULT_TARGETS[action]) {
+            const extra = action === 'set-authority' ? ', none to revoke' : action === 'freeze' || action === 'thaw' ? ', self' : '';
+            const target = (await question(chalk.yellow(`Target - wallet number, address, random${extra} (${DEFAULT_TARGETS[action]}): `))).trim();
+            if (target) input.target = /^\d+$/.test(target) ? Number(target) : target;
+        }
+
+        const result = await this.deployer.runTokenAction(input);
+        result.transactions.forEach(tx => console.log(chalk.gray(`   ${tx.explorer ?? tx.signature}`)));
+    }
+
+    // A CSV recipient list sent from one wallet, previewed before anything is signed
+    async distributeMenu() {
+        const mint = await this.promptExistingMint();
+        if (!mint) return;
+        const wallet = (await question(chalk.yellow('Wallet that sends (number, label or address): '))).trim();
+        if (!wallet) return;
+        const file = (await question(chalk.yellow('Recipient CSV (address,amount in whole tokens): '))).trim();
+        if (!file) return;
+        const results = (await question(chalk.yellow(`Result file (${resultFileFor(file)}): `))).trim();
+
+        const plan = await this.deployer.planDistribution({ wallet, mint, file, resultFile: results || undefined });
+        console.log(chalk.cyan('\nDry run, nothing has been signed yet:'));
+        console.log(renderDistributionPlan(plan));
+        if (plan.problems.length > 0) return;
+        if (plan.batches.length === 0) {
+            console.log(chalk.yellow('\nEvery row has been sent already'));
+        } else if ((await question(chalk.yellow(`\nSend ${plan.batches.length} distribution transactions? (y/N): `))).toLowerCase() === 'y') {
+            await this.deployer.distributeTokens(plan);
+            console.log(renderDistributionResults(plan));
+            console.log(chalk.green(`✅ Results saved to ${plan.resultFile}`));
+        }
+    }
+
+    async showAllBalances() {
+        clearScreen();
+        console.log(chalk.yellow('\n📊 Wallet Balances'));
+        const spinner = ora('Reading balances...').start();
+        let snapshot;
+        try {
+            snapshot = await this.deployer.balanceSnapshot();
+            spinner.stop();
+        } catch (error) {
+            spinner.fail(chalk.red(`Could not read balances: ${error.message}`));
+            await question(chalk.yellow('\nPress Enter to return to main menu...'));
+            return;
+        }
+        console.log(renderSnapshot(snapshot));
+
+        while (true) {
+            const choice = (await question(chalk.yellow('\nW. Watch  C. Export CSV  J. Export JSON  Enter. Return: '))).trim().toLowerCase();
+            if (choice === 'c' || choice === 'j') {
+                try {
+                    const file = writeSnapshot(snapshot, this.deployer.balanceExportFile(choice === 'c' ? 'csv' : 'json'));
+                    console.log(chalk.green(`✅ Saved to ${file}`));
+                } catch (error) {
+                    console.log(chalk.red(`❌ ${error.message}`));
+                }
+            } else if (choice === 'w') {
+                await this.watchBalancesMenu();
+                return;
+            } else {
+                return;
+            }
+        }
+    }
+
+    async watchBalancesMenu() {
+        const answer = (await question(chalk.yellow('Refresh every how many seconds? (Enter: on account changes): '))).trim();
+        const seconds = Number(answer);
+        if (answer && !(seconds > 0)) {
+            console.log(chalk.red('❌ Enter a number of seconds above 0'));
+            await question(chalk.yellow('\nPress Enter to return to main menu...'));
+            return;
+        }
+
+        const controller = new AbortController();
+        const stopped = question('').then(() => controller.abort());
+        await this.deployer.watchBalances({
+            intervalMs: seconds * 1000,
+            subscribe: !answer,
+            signal: controller.signal,
+            onSnapshot: (snapshot, first) => {
+                clearScreen();
+                console.log(chalk.yellow(`\n📊 Wallet Balances (changes since ${new Date(first.takenAt).toLocaleTimeString()})`));
+                console.log(renderSnapshot(snapshot, first));
+                console.log(chalk.yellow(`\nWatching ${answer ? `every ${seconds}s` : 'for account changes'}, press Enter to stop`));
+            }
+        });
+        await stopped;
+    }
+
+    async airdropMenu() {
+        const selection = (await question(chalk.yellow('Wallets to airdrop to (e.g. 1,3 or Enter for all): '))).trim();
+        const walletIndexes = selection ? selection.split(',').map(w => this.deployer.findWallet(w).index) : undefined;
+        const amount = (await question(chalk.yellow('SOL per wallet (1): '))).trim();
+        console.log(chalk.cyan(`\n🚰 Requesting airdrops from ${redactUrl(this.deployer.rpcUrl)}\n`));
+        const rows = await this.deployer.requestAirdrops({ amount: amount ? Number(amount) : 1, walletIndexes });
+        console.log(renderAirdropResults(rows, signature => explorerUrl(this.deployer.network, 'tx', signature)));
+    }
+
+    async fundingMenu() {
+        while (true) {
+            clearScreen();
+            console.log(chalk.yellow('\n💸 Fund, Sweep & Airdrop'));
+            console.log(chalk.green('1. Fund Wallets from a Treasury'));
+            console.log(chalk.green('2. Sweep SOL and Tokens to One Address'));
+            console.log(chalk.green('3. Request Airdrop (test networks)'));
+            console.log(chalk.green('4. Return'));
+
+            const choice = await question(chalk.yellow('\nEnter your choice (1-4): '));
+            if (choice === '4') return;
+            if (!['1', '2', '3'].includes(choice)) continue;
+
+            try {
+                let plan;
+                if (choice === '3') {
+                    await this.airdropMenu();
+                } else if (choice === '1') {
+                    const treasury = (await question(chalk.yellow('Treasury wallet (number, label or address): '))).trim();
+                    if (!treasury) continue;
+                    const threshold = (await question(chalk.yellow(`Top up wallets below (SOL, ${this.deployer.settings.minBalance}): `))).trim();
+                    const target = (await question(chalk.yellow('Top up to (SOL, same as above): '))).trim();
+                    plan = await this.deployer.planFunding({
+                        treasury,
+                        threshold: threshold ? Number(threshold) : undefined,
+                        target: target ? Number(target) : undefined
+                    });
+                    console.log(chalk.cyan('\nDry run, nothing has been signed yet:'));
+                    console.log(renderFundingPlan(plan));
+                    if (plan.batches.length === 0) {
+                        console.log(chalk.yellow('\nNo wallet needs funding'));
+                    } else if ((await question(chalk.yellow(`\nSend ${plan.batches.length} funding transactions? (y/N): `))).toLowerCase() === 'y') {
+                        console.log(renderTransferResults(await this.deployer.fundWallets(plan), signature => explorerUrl(this.deployer.network, 'tx', signature)));
+                    }
+                } else {
+                    const destination = (await question(chalk.yellow('Sweep to (wallet number, label or address): '))).trim();
+                    if (!destination) continue;
+                    const tokens = (await question(chalk.yellow('Also move SPL tokens and close token accounts? (y/N): '))).toLowerCase() === 'y';
+                    const keep = (await question(chalk.yellow('SOL to keep in each wallet (0): '))).trim();
+                    plan = await this.deployer.planSweep({ destination, tokens, keep: keep ? Number(keep) : 0 });
+                    console.log(chalk.cyan('\nDry run, nothing has been signed yet:'));
+                    console.log(renderSweepPlan(plan));
+                    const wallets = plan.rows.filter(r => r.status === 'sweep').length;
+                    if (wallets === 0) {
+                        console.log(chalk.yellow('\nNothing to sweep'));
+                    } else if ((await question(chalk.red(`\nSweep ${wallets} wallets to ${plan.destination}? (y/N): `))).toLowerCase() === 'y') {
+                        console.log(renderTransferResults(await this.deployer.sweepWallets(plan), signature => explorerUrl(this.deployer.network, 'tx', signature)));
+                    }
+                }
+            } catch (error) {
+                console.log(chalk.red(`\n❌ ${error.message}`));
+            }
+            await question(chalk.yellow('\nPress Enter to continue...'));
+        }
+    }
+
+    async settingsMenu() {
+        while (true) {
+            clearScreen();
+            console.log(chalk.yellow('\n⚙️  Settings'));
+            console.log(chalk.green('1. Set Number of Interactions'));
+            console.log(chalk.green('2. Set Interaction Interval (minutes)'));
+            console.log(chalk.green('3. Set Minimum Wallet Balance (SOL)'));
+            console.log(chalk.green('4. Set Token Decimals'));
+            console.log(chalk.green('5. Set NFT Asset Folder'));
+            console.log(chalk.green('6. Set Parallel Wallets'));
+            console.log(chalk.green('7. Set Interaction Scenario'));
+            console.log(chalk.green('8. Select Network'));
+            console.log(chalk.green('9. View Current Settings'));
+            console.log(chalk.green('10. Return to Main Menu'));
+
+            const choice = await question(chalk.yellow('\nEnter your choice (1-10): '));
+            let changed = false;
+
+            switch (choice) {
+                case '1':
+                    const count = await question(chalk.yellow('Enter number of interactions: '));
+                    this.deployer.settings.interactionCount = parseInt(count) || 3;
+                    changed = true;
+                    break;
+
+                case '2':
+                    const interval = await question(chalk.yellow('Enter interval in minutes: '));
+                    this.deployer.settings.interactionInterval = parseInt(interval) || 1;
+                    changed = true;
+                    break;
+
+                case '3':
+                    const minBalance = parseFloat(await question(chalk.yellow('Enter minimum balance in SOL: ')));
+                    if (!(minBalance >= 0)) {
+                        console.log(chalk.red('❌ Balance must be a non-negative number'));
+                    } else {
+                        this.deployer.settings.minBalance = minBalance;
+                        changed = true;
+                    }
+                    break;
+
+                case '4':
+                    const decimals = Number(await question(chalk.yellow('Enter token decimals (0-255): ')));
+                    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255) {
+                        console.log(chalk.red('❌ Decimals must be an integer between 0 and 255'));
+                    } else {
+                        this.deployer.settings.tokenDecimals = decimals;
+                        changed = true;
+                    }
+                    break;
+
+                case '5':
+                    const nftFolder = (await question(chalk.yellow('Enter NFT asset folder: '))).trim();
+                    if (nftFolder) {
+                        this.deployer.settings.nftFolder = nftFolder;
+                        changed = true;
+                    }
+                    break;
+
+                case '6':
+                    const concurrency = Number(await question(chalk.yellow('Enter how many wallets to process at once: ')));
+                    if (!Number.isInteger(concurrency) || concurrency < 1) {
+                        console.log(chalk.red('❌ Parallel wallets must be a positive integer'));
+                    } else {
+                        this.deployer.settings.concurrency = concurrency;
+                        changed = true;
+                    }
+                    break;
+
+                case '7': {
+                    const file = (await question(chalk.yellow('Scenario file (Enter for random interactions): '))).trim();
+                    if (file) {
+                        // Checked against both run types, a scenario only names actions of one
+                        try {
+                            loadScenario(file, 'token');
+                        } catch (error) {
+                            try {
+                                loadScenario(file, 'nft');
+                            } catch {
+                                console.log(chalk.red(`❌ ${error.message}`));
+                                break;
+                            }
+                        }
+                    }
+                    this.deployer.settings.scenario = file || null;
+                    changed = true;
+                    break;
+                }
+
+                case '8':
+                    changed = await this.selectNetwork();
+                    break;
+
+                case '9':
+                    console.log(chalk.cyan('\nCurrent Settings:'));
+                    console.log(chalk.green(`• Network: ${this.deployer.network.name} (${redactUrl(this.deployer.rpcUrl)})`));
+                    console.log(chalk.green(`• Interactions per wallet: ${this.deployer.settings.interactionCount}`));
+                    console.log(chalk.green(`• Interval between interactions: ${this.deployer.settings.interactionInterval} minutes`));
+                    console.log(chalk.green(`• Minimum wallet balance: ${this.deployer.settings.minBalance} SOL`));
+                    console.log(chalk.green(`• Token decimals: ${this.deployer.settings.tokenDecimals}`));
+                    console.log(chalk.green(`• NFT asset folder: ${this.deployer.settings.nftFolder}`));
+                    console.log(chalk.green(`• Parallel wallets: ${this.deployer.settings.concurrency}`));
+                    console.log(chalk.green(`• Interaction scenario: ${this.deployer.settings.scenario ?? 'random'}`));
+                    const rateLimit = this.deployer.rateLimit ?? this.deployer.network.rateLimit ?? 0;
+                    console.log(chalk.green(`• RPC rate limit: ${rateLimit > 0 ? `${rateLimit} requests/s` : 'unlimited'}`));
+                    console.log(chalk.green(`• Config file: ${this.deployer.configFile}`));
+                    await question(chalk.yellow('\nPress Enter to continue...'));
+                    continue;
+
+                case '10':
+                    return;
+
+                default:
+                    continue;
+            }
+
+            if (changed) {
+                try {
+                    this.deployer.saveSettings();
+                    console.log(chalk.green(`✅ Settings saved to ${this.deployer.configFile}`));
+                } catch (error) {
+                    console.log(chalk.red(`❌ Could not save settings: ${error.message}`));
+                }
+            }
+            await question(chalk.yellow('Press Enter to continue...'));
+        }
+    }
+
+    async startDeployment() {
+        clearScreen();
+        console.log(chalk.yellow('\n🚀 Contract Deployment'));
+        console.log(chalk.green('1. Deploy Token'));
+        console.log(chalk.green('2. Deploy NFT Collection'));
+        console.log(chalk.green('3. Interact with Previously Deployed Tokens'));
+        console.log(chalk.green('4. Interact with Previously Deployed NFT Collections'));
+        console.log(chalk.green('5. Interact with an Existing Token Mint'));
+        console.log(chalk.green('6. Dry Run a Token Deployment (simulate only)'));
+        console.log(chalk.green('7. Single Token Action (freeze, approve, close, set authority, ...)'));
+        console.log(chalk.green('8. Distribute Tokens from a CSV'));
+        console.log(chalk.green('9. Return to Main Menu'));
+
+        let choice = await question(chalk.yellow('\nEnter your choice (1-9): '));
+        
+        if (choice === '9') return;
+
+        if (choice === '7' || choice === '8') {
+            try {
+                await (choice === '7' ? this.tokenActionMenu() : this.distributeMenu());
+            } catch (error) {
+                console.log(chalk.red(`\n❌ ${error.message}`));
+            }
+            await question(chalk.yellow('\nPress Enter to return to main menu...'));
+            return;
+        }
+
+        const dryRun = choice === '6';
+        if (dryRun) {
+            choice = await question(chalk.yellow('Dry run which one - 1. Deploy Token, 3. Previous Tokens, 5. Existing Mint: '));
+            if (!['1', '3', '5'].includes(choice)) return;
+        }
+        
+        if (!['1', '2', '3', '4', '5'].includes(choice)) {
+            console.log(chalk.red('❌ Invalid choice'));
+            await question(chalk.yellow('Press Enter to continue...'));
+            return;
+        }
+
+        try {
+            let mint;
+            if (choice === '5') {
+                mint = await this.promptExistingMint();
+                if (!mint) return;
+            }
+            const type = choice === '2' || choice === '4' ? 'nft' : 'token';
+            const token = choice === '1' ? await this.promptTokenOptions() : undefined;
+            const options = { type, token, mint, reuse: choice === '3' || choice === '4' };
+            if (dryRun) {
+                console.log(renderDryRun(await this.deployer.dryRunDeployment(options)));
+                await question(chalk.yellow('\nPress Enter to return to main menu...'));
+                return;
+            }
+            await this.deployer.runDeployment(options);
+            await this.showRunReport();
+        } catch (error) {
+            console.log(chalk.red(`\n❌ An error occurred: ${error.message}`));
+            await question(chalk.yellow('\nPress Enter to return to main menu...'));
+        }
+    }
+
+    async showRunReport() {
+        console.log(chalk.green('\n✅ Deployment and interactions completed!'));
+        console.log(chalk.yellow('\n📄 Generating report...\n'));
+        
+        // Show report and wait for user input
+        console.log(renderText(this.deployer.saveReport().report, { color: true }));
+
+        let continueToMenu = false;
+        while (!continueToMenu) {
+            const answer = await question(chalk.yellow('\nPress M to return to main menu, R to regenerate report: '));
+            if (answer.toLowerCase() === 'm') {
+                continueToMenu = true;
+            } else if (answer.toLowerCase() === 'r') {
+                clearScreen();
+                console.log(renderText(this.deployer.saveReport().report, { color: true }));
+            }
+        }
+    }
+
+    // Offered at startup when the previous process stopped in the middle of a run
+    async offerResume() {
+        const run = this.deployer.state.unfinishedRun();
+        if (!run || run.network !== this.deployer.network.name) return;
+
+        const finished = Object.values(run.wallets).filter(w => w.status === 'done').length;
+        console.log(chalk.yellow(`\n⏸️  Unfinished ${run.type} run from ${new Date(run.startedAt).toLocaleString()} (${finished} wallets finished)`));
+        const answer = (await question(chalk.yellow('Resume it (R), discard it (D) or decide later (Enter): '))).toLowerCase();
+
+        if (answer === 'd') {
+            this.deployer.state.finishRun(run, 'abandoned');
+            console.log(chalk.green('✅ Run discarded'));
+        } else if (answer === 'r') {
+            try {
+                await this.deployer.runDeployment({ resume: run });
+                await this.showRunReport();
+            } catch (error) {
+                console.log(chalk.red(`\n❌ An error occurred: ${error.message}`));
+                await question(chalk.yellow('\nPress Enter to return to main menu...'));
+            }
+        }
+    }
+
+    async viewPreviousReports() {
+        while (true) {
+            clearScreen();
+            console.log(chalk.yellow('\n📚 Reports'));
+            console.log(chalk.green('1. Browse Runs by Date'));
+            console.log(chalk.green('2. Search Entries'));
+            console.log(chalk.green('3. Compare Two Runs'));
+            console.log(chalk.green('4. Dashboard (All Runs)'));
+            console.log(chalk.green('5. Return to Main Menu'));
+
+            const choice = await question(chalk.yellow('\nEnter your choice (1-5): '));
+            if (choice === '5') return;
+
+            try {
+                switch (choice) {
+                    case '1':
+                        await this.browseRuns();
+                        break;
+                    case '2':
+                        await this.searchReportEntries();
+                        break;
+                    case '3':
+                        await this.compareRuns();
+                        break;
+                    case '4':
+                        clearScreen();
+                        console.log(renderDashboard(aggregateReports(loadReports(this.deployer.listReports()))));
+                        await question(chalk.yellow('\nPress Enter to continue...'));
+                        break;
+                }
+            } catch (error) {
+                console.log(chalk.red(`\n❌ ${error.message}`));
+                await question(chalk.yellow('\nPress Enter to continue...'));
+            }
+        }
+    }
+
+    // Lists runs newest first with the same numbers as "report list", text reports from older versions last
+    printRunList() {
+        const files = this.deployer.listReports();
+        const saved = loadReports(files);
+        if (saved.length > 0) console.log(renderRunList(saved));
+        files.slice(saved.length).forEach((file, i) => console.log(chalk.gray(`${saved.length + i + 1}. ${file} (text report)`)));
+        return files;
+    }
+
+    async browseRuns() {
+        clearScreen();
+        console.log(chalk.yellow('\n📚 Previous Runs'));
+        const reports = this.printRunList();
+
+        if (reports.length === 0) {
+            console.log(chalk.red('\n❌ No previous reports found'));
+            await question(chalk.yellow('\nPress Enter to continue...'));
+            return;
+        }
+
+        const choice = await question(chalk.yellow('\nSelect report number (or Enter to return): '));
+        if (!choice) return;
+
+        const selectedReport = reports[parseInt(choice) - 1];
+        if (selectedReport) {
+            clearScreen();
+            const report = readReport(selectedReport);
+            console.log(report ? renderText(report, { color: true }) : fs.readFileSync(selectedReport, 'utf8'));
+
+            if (report) {
+                const formats = REPORT_FORMATS.filter(format => format !== 'json');
+                const format = (await question(chalk.yellow(`\nExport as ${formats.join('/')} (or Enter to return): `))).trim().toLowerCase();
+                if (formats.includes(format)) {
+                    console.log(chalk.green(`✅ Exported to ${this.deployer.exportReport(selectedReport, format)}`));
+                } else if (format) {
+                    console.log(chalk.red(`❌ Unknown format ${format}`));
+                }
+            }
+            await question(chalk.yellow('\nPress Enter to continue...'));
+        }
+    }
+
+    async searchReportEntries() {
+        clearScreen();
+        console.log(chalk.yellow('\n🔎 Search Entries (Enter skips a filter)'));
+        const filters = {
+            from: (await question(chalk.yellow('From date (YYYY-MM-DD): '))).trim(),
+            to: (await question(chalk.yellow('To date (YYYY-MM-DD): '))).trim(),
+            wallet: (await question(chalk.yellow('Wallet numbers (comma separated): '))).split(',').map(w => w.trim()).filter(Boolean),
+            action: (await question(chalk.yellow('Action (e.g. transfer, deploy NFT): '))).trim(),
+            mint: (await question(chalk.yellow('Mint or collection address: '))).trim(),
+            failed: (await question(chalk.yellow('Only failures? (y/N): '))).toLowerCase() === 'y'
+        };
+
+        console.log('\n' + renderSearchResults(searchReports(loadReports(this.deployer.listReports()), filters)));
+        await question(chalk.yellow('\nPress Enter to continue...'));
+    }
+
+    async compareRuns() {
+        clearScreen();
+        console.log(chalk.yellow('\n⚖️  Compare Two Runs'));
+        const saved = loadReports(this.deployer.listReports());
+        if (saved.length < 2) {
+            console.log(chalk.red('\n❌ At least two saved reports are needed'));
+            await question(chalk.yellow('\nPress Enter to continue...'));
+            return;
+        }
+        console.log(renderRunList(saved));
+
+        const a = saved[parseInt(await question(chalk.yellow('\nFirst run number (A): '))) - 1];
+        const b = saved[parseInt(await question(chalk.yellow('Second run number (B): '))) - 1];
+        if (!a || !b) {
+            console.log(chalk.red('❌ Invalid run number'));
+        } else {
+            console.log(renderDiff(diffReports(a, b)));
+        }
+        await question(chalk.yellow('\nPress Enter to continue...'));
+    }
+
+    async displayMenu() {
+        while (true) {
+            clearScreen();
+            console.log(chalk.yellow('\n🔱 Main Menu'));
+            console.log(chalk.green('1. Check Wallet Balances'));
+            console.log(chalk.green('2. Deploy Contracts'));
+            console.log(chalk.green('3. Settings'));
+            console.log(chalk.green('4. View Previous Reports'));
+            console.log(chalk.green('5. Manage Wallets'));
+            console.log(chalk.green('6. Fund, Sweep & Airdrop'));
+            console.log(chalk.green('7. Exit'));
+
+            const choice = await question(chalk.yellow('\nEnter your choice (1-7): '));
+
+            switch (choice) {
+                case '1':
+                    await this.showAllBalances();
+                    break;
+                case '2':
+                    await this.startDeployment();
+                    break;
+                case '3':
+                    await this.settingsMenu();
+                    break;
+                case '4':
+                    await this.viewPreviousReports();
+                    break;
+                case '5':
+                    await this.manageWallets();
+                    break;
+                case '6':
+                    await this.fundingMenu();
+                    break;
+                case '7':
+                    console.log(chalk.green('\n👋 Thank you for using ONIXIA Sonic Deployer!'));
+                    closePrompt();
+                    return;
+                default:
+                    console.log(chalk.red('❌ Invalid choice!'));
+                    await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        }
+    }
+}
+
+// The menu flow of `node deploy.js` without arguments
+export async function runMenu(options = {}) {
+    clearScreen();
+    let deployer;
+    try {
+        deployer = new SonicDeployer({
+            ...options,
+            promptPassphrase,
+            afterWalletFailure: () => question(chalk.yellow('Press Enter to continue with next wallet...'))
+        });
+    } catch (error) {
+        if (!(error instanceof ConfigError || error instanceof KeystoreError)) throw error;
+        console.log(chalk.red(`\n❌ ${error.message}`));
+        process.exit(1);
+    }
+    attachConsoleOutput(deployer);
+    const menu = new InteractiveMenu(deployer);
+
+    // Offer the other profiles before loading wallets
+    if (Object.keys(deployer.config.networks).length > 1) {
+        await menu.selectNetwork();
+    }
+
+    // Without usable keys the wallet manager is the way in
+    while (true) {
+        try {
+            clearScreen();
+            await deployer.init();
+            break;
+        } catch (error) {
+            console.log(chalk.red(`❌ ${error.message}`));
+        }
+        const answer = await question(chalk.yellow('\nOpen the wallet manager to import keys? (y/N): '));
+        if (answer.toLowerCase() !== 'y') {
+            console.log(chalk.red('\n❌ Initialization failed. Please check your configuration.'));
+            process.exit(1);
+        }
+        await menu.manageWallets();
+    }
+
+    await menu.offerResume();
+
+    await menu.displayMenu();
+}
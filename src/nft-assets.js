@@ -0,0 +1,68 @@
+/**
+ * NFT asset folder loader
+ * A folder holds collection.json plus one JSON file per NFT, images sit next to them:
+ *   nft-assets/collection.json, collection.png, 1.json, 1.png, 2.json, ...
+ * A JSON file with a "uri" field points at metadata that is already hosted and is not uploaded.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+// Limits enforced by the token metadata program
+const MAX_NAME_LENGTH = 32;
+const MAX_SYMBOL_LENGTH = 10;
+
+const readAsset = (folder, file) => {
+    const filePath = path.join(folder, file);
+    let metadata;
+    try {
+        metadata = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${filePath}: ${error.code === 'ENOENT' ? 'file not found' : `not valid JSON (${error.message})`}`);
+    }
+
+    const { name, symbol = '', uri } = metadata;
+    const sellerFeeBasisPoints = metadata.seller_fee_basis_points ?? 0;
+
+    if (typeof name !== 'string' || name.length === 0 || name.length > MAX_NAME_LENGTH) {
+        throw new Error(`${filePath}: name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    if (typeof symbol !== 'string' || symbol.length > MAX_SYMBOL_LENGTH) {
+        throw new Error(`${filePath}: symbol must be at most ${MAX_SYMBOL_LENGTH} characters`);
+    }
+    if (!Number.isInteger(sellerFeeBasisPoints) || sellerFeeBasisPoints < 0 || sellerFeeBasisPoints > 10000) {
+        throw new Error(`${filePath}: seller_fee_basis_points must be an integer between 0 and 10000`);
+    }
+    if (uri !== undefined && (typeof uri !== 'string' || !/^(https?|ar|ipfs):\/\//.test(uri))) {
+        throw new Error(`${filePath}: uri must be an http(s), ar:// or ipfs:// URL`);
+    }
+
+    // Local images are uploaded together with the metadata
+    let imagePath = null;
+    if (!uri && typeof metadata.image === 'string' && !/^[a-z]+:\/\//.test(metadata.image)) {
+        imagePath = path.join(folder, metadata.image);
+        if (!fs.existsSync(imagePath)) {
+            throw new Error(`${filePath}: image ${metadata.image} not found`);
+        }
+    }
+
+    return { file: filePath, name, symbol, sellerFeeBasisPoints, uri, metadata, imagePath };
+};
+
+export function loadNftAssets(folder) {
+    if (!fs.existsSync(folder)) {
+        throw new Error(`NFT asset folder ${folder} not found`);
+    }
+
+    const collection = readAsset(folder, 'collection.json');
+    const items = fs.readdirSync(folder)
+        .filter(file => file.endsWith('.json') && file !== 'collection.json')
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(file => readAsset(folder, file));
+
+    if (items.length === 0) {
+        throw new Error(`NFT asset folder ${folder} has no NFT metadata files besides collection.json`);
+    }
+
+    return { collection, items };
+}
@@ -0,0 +1,126 @@
+/**
+ * Webhook notifications
+ * POSTs run-start, wallet-failure, low-balance and run-summary events of a deployer to a
+ * webhook: a Slack or Discord incoming webhook gets a chat message, any other URL (a local
+ * HTTP endpoint for testing, for one) the event as JSON. Dry runs send nothing. A webhook that
+ * fails or times out is logged and never stops the run.
+ */
+
+export const NOTIFICATION_EVENTS = ['run-start', 'wallet-failure', 'low-balance', 'run-summary'];
+
+export const NOTIFICATION_FORMATS = ['auto', 'json', 'slack', 'discord'];
+
+const sol = (lamports) => (lamports / 1e9).toFixed(4);
+
+// auto picks the chat format from the webhook's host
+export function notificationFormat(url, format = 'auto') {
+    if (format !== 'auto') return format;
+    const { hostname } = new URL(url);
+    if (hostname === 'hooks.slack.com') return 'slack';
+    if (/(^|\.)discord(app)?\.com$/.test(hostname)) return 'discord';
+    return 'json';
+}
+
+// One line of chat text per event
+export function notificationText(event, data) {
+    switch (event) {
+        case 'run-start':
+            return `🚀 Run ${data.runId} started on ${data.network}: ${data.type}, ${data.wallets.length} wallets, ` +
+                `${data.interactionCount} interactions each${data.resumed ? ' (resumed)' : ''}`;
+        case 'wallet-failure':
+            return `❌ Wallet #${data.walletIndex} failed on ${data.network}${data.runId ? ` in run ${data.runId}` : ''}: ${data.error}`;
+        case 'low-balance':
+            return `⚠️ Wallet #${data.walletIndex} ${data.address} has ${sol(data.lamports)} SOL on ${data.network}, ` +
+                `below the ${sol(data.minimum)} SOL minimum, it was skipped`;
+        case 'run-summary':
+            return `${data.failures > 0 ? '⚠️' : '✅'} Run ${data.runId} ${data.status} on ${data.network}: ` +
+                `${data.deployments} deployments, ${data.interactions} interactions, ${data.failures} failures`;
+        default:
+            return `${event}: ${JSON.stringify(data)}`;
+    }
+}
+
+export function notificationBody(format, event, data) {
+    if (format === 'slack') return { text: notificationText(event, data) };
+    // Discord rejects messages over 2000 characters
+    if (format === 'discord') return { content: notificationText(event, data).slice(0, 2000) };
+    return { event, time: new Date().toISOString(), ...data };
+}
+
+export class WebhookNotifier {
+    // options: the config's notifications section, { webhook, format, events, timeoutMs }
+    constructor({ webhook, format = 'auto', events = NOTIFICATION_EVENTS, timeoutMs = 10000 }, { onError = () => {} } = {}) {
+        this.webhook = webhook;
+        this.format = notificationFormat(webhook, format);
+        this.events = events;
+        this.timeoutMs = timeoutMs;
+        this.onError = onError;
+        this.pending = new Set();
+    }
+
+    // Sends without waiting, flush() waits for everything sent so far
+    notify(event, data) {
+        if (!this.events.includes(event)) return;
+        const request = this.post(notificationBody(this.format, event, data))
+            .catch(error => this.onError(event, error))
+            .finally(() => this.pending.delete(request));
+        this.pending.add(request);
+    }
+
+    async post(body) {
+        const response = await fetch(this.webhook, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}: ${(await response.text()).slice(0, 200)}`);
+        }
+    }
+
+    async flush() {
+        await Promise.all([...this.pending]);
+    }
+}
+
+// Turns a deployer's events into notifications. Returns a function that stops notifying.
+export function attachNotifications(deployer, notifier) {
+    let runId = null;
+    const network = () => deployer.network.name;
+    const handlers = {
+        'run:start': (run) => {
+            runId = run.id;
+            notifier.notify('run-start', { runId, network: run.network, type: run.type, wallets: run.wallets, interactionCount: run.interactionCount, resumed: run.resumed });
+        },
+        // A wallet that could not be processed, interaction failures are counted in the summary. Balance
+        // failures come as low-balance.
+        'failure': (failure) => {
+            if (failure.stage !== 'deploy') return;
+            notifier.notify('wallet-failure', { runId, network: network(), ...failure });
+        },
+        'low-balance': (balance) => notifier.notify('low-balance', { runId, network: network(), ...balance }),
+        'run:done': ({ run, deployments, interactions, failures }) => {
+            notifier.notify('run-summary', {
+                runId: run.id,
+                network: network(),
+                status: run.status,
+                startedAt: run.startedAt,
+                finishedAt: run.finishedAt,
+                deployments: deployments.length,
+                interactions: interactions.length,
+                failures: failures.length,
+                failed: failures.map(({ walletIndex, stage, error }) => ({ walletIndex, stage, error }))
+            });
+            runId = null;
+        }
+    };
+
+    // Simulated runs are not worth a message
+    const live = (handler) => (data) => {
+        if (!deployer.dryRun) handler(data);
+    };
+    const listeners = Object.entries(handlers).map(([event, handler]) => [event, live(handler)]);
+    listeners.forEach(([event, listener]) => deployer.on(event, listener));
+    return () => listeners.forEach(([event, listener]) => deployer.off(event, listener));
+}
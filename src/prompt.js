@@ -0,0 +1,61 @@
+/**
+ * Terminal prompts
+ * Line input for the menu and the console answers to the deployer's hooks. The readline
+ * interface is created on first use so headless commands never hold stdin open.
+ */
+
+import { createInterface } from 'readline';
+import chalk from 'chalk';
+import { KeystoreError } from './keystore.js';
+
+let rl = null;
+
+const getPrompt = () => {
+    if (!rl) {
+        rl = createInterface({
+            input: process.stdin,
+            output: process.stdout
+        });
+    }
+    return rl;
+};
+
+export const question = (query) => new Promise((resolve) => {
+    getPrompt().question(query, resolve);
+});
+
+// Reads a line without echoing it, for passphrases and mnemonics
+export const questionHidden = (query) => new Promise((resolve) => {
+    const prompt = getPrompt();
+    process.stdout.write(query);
+    prompt._writeToOutput = () => {};
+    prompt.question('', (answer) => {
+        delete prompt._writeToOutput;
+        process.stdout.write('\n');
+        resolve(answer);
+    });
+});
+
+export const closePrompt = () => {
+    if (rl) {
+        rl.close();
+        rl = null;
+    }
+};
+
+// The deployer's promptPassphrase hook. Without a terminal there is nobody to ask.
+export async function promptPassphrase({ file, create }) {
+    if (!process.stdin.isTTY) return null;
+
+    if (create) {
+        console.log(chalk.cyan(`\n🔐 Creating encrypted keystore ${file}`));
+        const passphrase = await questionHidden(chalk.yellow('New passphrase: '));
+        if (passphrase.length < 8) throw new KeystoreError('Passphrase must be at least 8 characters');
+        if (await questionHidden(chalk.yellow('Repeat passphrase: ')) !== passphrase) {
+            throw new KeystoreError('Passphrases do not match');
+        }
+        return passphrase;
+    }
+
+    return questionHidden(chalk.yellow(`🔐 Passphrase for ${file}: `));
+}
@@ -0,0 +1,46 @@
+/**
+ * Per-RPC request rate limiting
+ * Every Connection to the same endpoint shares one limiter, so parallel wallets together
+ * stay under the requests-per-second the endpoint allows.
+ */
+
+const limiters = new Map();
+
+export class RateLimiter {
+    constructor(requestsPerSecond = 0) {
+        this.setRate(requestsPerSecond);
+        this.next = 0;
+    }
+
+    // 0 turns limiting off
+    setRate(requestsPerSecond) {
+        this.interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    }
+
+    // Reserves the next free slot and waits for it, requests go out evenly spaced in call order
+    async acquire() {
+        if (this.interval === 0) return;
+        const now = Date.now();
+        const slot = Math.max(now, this.next);
+        this.next = slot + this.interval;
+        if (slot > now) await new Promise(r => setTimeout(r, slot - now));
+    }
+
+    // Connection fetchMiddleware, see ConnectionConfig in @solana/web3.js
+    get middleware() {
+        return (info, init, fetch) => {
+            this.acquire().then(() => fetch(info, init));
+        };
+    }
+}
+
+export function limiterFor(rpcUrl, requestsPerSecond) {
+    let limiter = limiters.get(rpcUrl);
+    if (!limiter) {
+        limiter = new RateLimiter(requestsPerSecond);
+        limiters.set(rpcUrl, limiter);
+    } else {
+        limiter.setRate(requestsPerSecond);
+    }
+    return limiter;
+}
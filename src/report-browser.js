@@ -0,0 +1,249 @@
+/**
+ * Report browser
+ * Searches, compares and aggregates the JSON reports saved after every run.
+ * Old text reports carry no data and are skipped.
+ */
+
+import chalk from 'chalk';
+import Table from 'cli-table3';
+import { actionLabel, formatDuration, readReport } from './reports.js';
+
+const sol = (lamports) => (lamports / 1e9).toFixed(6);
+
+// Every saved report with its data, in the order listReports gives (newest first),
+// so list numbers stay the same as in report list
+export function loadReports(files) {
+    return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => ({ file, report: readReport(file) }));
+}
+
+// A plain date means the whole day, for --to that is its end
+export function parseDateBound(value, end = false) {
+    if (value === undefined || value === '') return null;
+    const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const time = Date.parse(dayOnly ? `${value}T00:00:00` : value);
+    if (Number.isNaN(time)) throw new Error(`Invalid date: ${value}`);
+    return dayOnly && end ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+const runTime = (report) => Date.parse(report.summary.startedAt ?? report.generatedAt);
+
+// Flattens a report into one row per deployment, interaction and failure
+export function reportRows({ file, report }) {
+    const base = (kind, entry) => ({
+        file,
+        run: report.run?.id ?? null,
+        network: report.network,
+        kind,
+        timestamp: entry.timestamp ?? report.generatedAt,
+        walletIndex: entry.walletIndex,
+        action: actionLabel(entry, kind),
+        signatures: (entry.transactions ?? []).map(tx => tx.signature).concat(entry.signature ?? []),
+        fee: (entry.transactions ?? []).reduce((sum, tx) => sum + (tx.fee ?? 0), 0)
+    });
+    return [
+        ...report.deployments.map(d => ({ ...base('deployment', d), address: d.address, detail: d.address, failed: false })),
+        ...report.interactions.map(i => ({ ...base('interaction', i), address: i.target ?? null, detail: i.result, failed: false })),
+        ...report.failures.map(f => ({ ...base('failure', f), address: f.target ?? null, detail: f.error, failed: true }))
+    ];
+}
+
+// filters: { from, to, wallet: [indexes], action, mint, failed }, dates as accepted by parseDateBound
+export function searchReports(reports, filters = {}) {
+    const from = parseDateBound(filters.from);
+    const to = parseDateBound(filters.to, true);
+    const wallets = filters.wallet?.length ? filters.wallet.map(Number) : null;
+    const action = filters.action?.toLowerCase();
+
+    return reports
+        .filter(({ report }) => (from === null || runTime(report) >= from) && (to === null || runTime(report) <= to))
+        .flatMap(reportRows)
+        .filter(row => !wallets || wallets.includes(row.walletIndex))
+        .filter(row => !action || row.action.toLowerCase().includes(action))
+        // Interactions from before targets were recorded only mention NFT addresses in their result
+        .filter(row => !filters.mint || row.address === filters.mint || row.detail?.includes(filters.mint))
+        .filter(row => !filters.failed || row.failed);
+}
+
+const countBy = (rows, key) => {
+    const counts = new Map();
+    for (const row of rows) {
+        const value = key(row);
+        const entry = counts.get(value) ?? { succeeded: 0, failed: 0 };
+        entry[row.failed ? 'failed' : 'succeeded']++;
+        counts.set(value, entry);
+    }
+    return counts;
+};
+
+// What changed from run a to run b: totals, per action and per wallet
+export function diffReports(a, b) {
+    const totals = ['succeeded', 'failed', 'transactions', 'totalFees', 'elapsedMs'].map(field => ({
+        field,
+        a: a.report.summary[field],
+        b: b.report.summary[field],
+        change: (b.report.summary[field] ?? 0) - (a.report.summary[field] ?? 0)
+    }));
+
+    const compare = (key) => {
+        const before = countBy(reportRows(a), key);
+        const after = countBy(reportRows(b), key);
+        const empty = { succeeded: 0, failed: 0 };
+        return [...new Set([...before.keys(), ...after.keys()])]
+            .sort((x, y) => String(x).localeCompare(String(y), undefined, { numeric: true }))
+            .map(value => ({ value, a: before.get(value) ?? empty, b: after.get(value) ?? empty }));
+    };
+
+    const failedWallets = (entry) => new Set(entry.report.failures.map(f => f.walletIndex));
+    const failedBefore = failedWallets(a);
+    const failedAfter = failedWallets(b);
+
+    return {
+        a: a.file,
+        b: b.file,
+        totals,
+        actions: compare(row => row.action),
+        wallets: compare(row => row.walletIndex),
+        newlyFailing: [...failedAfter].filter(w => !failedBefore.has(w)).sort((x, y) => x - y),
+        recovered: [...failedBefore].filter(w => !failedAfter.has(w)).sort((x, y) => x - y)
+    };
+}
+
+// History across every report: deployments per wallet, interaction success rate and fees per day
+export function aggregateReports(reports) {
+    const rows = reports.flatMap(reportRows);
+
+    const deploymentsPerWallet = new Map();
+    for (const row of rows.filter(r => r.kind === 'deployment')) {
+        const counts = deploymentsPerWallet.get(row.walletIndex) ?? {};
+        const type = row.action.replace(/^deploy /, '');
+        counts[type] = (counts[type] ?? 0) + 1;
+        deploymentsPerWallet.set(row.walletIndex, counts);
+    }
+
+    // Deploy and balance failures are not interactions
+    const interactionRows = rows.filter(r => r.kind === 'interaction' ||
+        (r.kind === 'failure' && !r.action.startsWith('deploy') && r.action !== 'balance check'));
+    const rate = ({ succeeded, failed }) => (succeeded + failed === 0 ? null : succeeded / (succeeded + failed));
+    const interactionTotals = countBy(interactionRows, () => 'all').get('all') ?? { succeeded: 0, failed: 0 };
+
+    const feesPerDay = new Map();
+    for (const row of rows.filter(r => r.fee > 0)) {
+        const day = row.timestamp.slice(0, 10);
+        feesPerDay.set(day, (feesPerDay.get(day) ?? 0) + row.fee);
+    }
+
+    const times = reports.map(({ report }) => runTime(report));
+    return {
+        runs: reports.length,
+        from: reports.length > 0 ? new Date(Math.min(...times)).toISOString() : null,
+        to: reports.length > 0 ? new Date(Math.max(...times)).toISOString() : null,
+        totalFees: reports.reduce((sum, { report }) => sum + report.summary.totalFees, 0),
+        deploymentsPerWallet: [...deploymentsPerWallet.entries()]
+            .sort(([x], [y]) => x - y)
+            .map(([walletIndex, counts]) => ({ walletIndex, ...counts })),
+        interactions: { ...interactionTotals, successRate: rate(interactionTotals) },
+        interactionsPerAction: [...countBy(interactionRows, row => row.action).entries()]
+            .map(([action, counts]) => ({ action, ...counts, successRate: rate(counts) })),
+        feesPerDay: [...feesPerDay.entries()].sort(([x], [y]) => x.localeCompare(y)).map(([day, fees]) => ({ day, fees }))
+    };
+}
+
+const percent = (value) => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+
+const signed = (value, format = String) => (value > 0 ? `+${format(value)}` : value < 0 ? `-${format(-value)}` : '0');
+
+export function renderRunList(reports) {
+    const table = new Table({ head: ['#', 'Started', 'Network', 'Run', 'OK', 'Failed', 'Fees (SOL)', 'Elapsed'].map(h => chalk.yellow(h)) });
+    reports.forEach(({ report }, i) => {
+        const { summary } = report;
+        table.push([
+            i + 1,
+            new Date(runTime(report)).toLocaleString(),
+            report.network,
+            report.run ? `${report.run.type} ${report.run.id}` : '-',
+            chalk.green(summary.succeeded),
+            summary.failed ? chalk.red(summary.failed) : 0,
+            sol(summary.totalFees),
+            summary.elapsedMs === null ? '-' : formatDuration(summary.elapsedMs)
+        ]);
+    });
+    return table.toString();
+}
+
+export function renderSearchResults(rows) {
+    if (rows.length === 0) return chalk.yellow('No matching entries');
+    const table = new Table({ head: ['Time', 'Wallet #', 'Action', 'Details', 'Signature'].map(h => chalk.yellow(h)) });
+    for (const row of rows) {
+        table.push([
+            new Date(row.timestamp).toLocaleString(),
+            `#${row.walletIndex}`,
+            row.failed ? chalk.red(row.action) : chalk.magenta(row.action),
+            row.failed ? chalk.red(row.detail) : row.detail,
+            row.signatures[row.signatures.length - 1] ?? ''
+        ]);
+    }
+    return `${table.toString()}\n${rows.length} ${rows.length === 1 ? 'entry' : 'entries'}`;
+}
+
+export function renderDiff(diff) {
+    const totals = new Table({ head: ['', 'A', 'B', 'Change'].map(h => chalk.yellow(h)) });
+    for (const { field, a, b, change } of diff.totals) {
+        const format = field === 'totalFees' ? sol : field === 'elapsedMs' ? formatDuration : String;
+        totals.push([field, a === null ? '-' : format(a), b === null ? '-' : format(b), signed(change, format)]);
+    }
+
+    const counts = (label, rows) => {
+        const table = new Table({ head: [label, 'OK A', 'OK B', 'Failed A', 'Failed B'].map(h => chalk.yellow(h)) });
+        rows.forEach(({ value, a, b }) => table.push([
+            label === 'Wallet' ? `#${value}` : value, a.succeeded, b.succeeded, a.failed, b.failed > a.failed ? chalk.red(b.failed) : b.failed
+        ]));
+        return table.toString();
+    };
+
+    return `
+A: ${diff.a}
+B: ${diff.b}
+
+${totals.toString()}
+
+${counts('Action', diff.actions)}
+
+${counts('Wallet', diff.wallets)}
+
+Newly failing wallets: ${diff.newlyFailing.map(w => `#${w}`).join(', ') || 'none'}
+Recovered wallets: ${diff.recovered.map(w => `#${w}`).join(', ') || 'none'}
+`;
+}
+
+export function renderDashboard(aggregate) {
+    if (aggregate.runs === 0) return chalk.yellow('No saved reports yet');
+
+    const types = [...new Set(aggregate.deploymentsPerWallet.flatMap(w => Object.keys(w).filter(k => k !== 'walletIndex')))];
+    const deployments = new Table({ head: ['Wallet #', ...types].map(h => chalk.yellow(h)) });
+    aggregate.deploymentsPerWallet.forEach(w => deployments.push([`#${w.walletIndex}`, ...types.map(t => w[t] ?? 0)]));
+
+    const interactions = new Table({ head: ['Action', 'OK', 'Failed', 'Success rate'].map(h => chalk.yellow(h)) });
+    aggregate.interactionsPerAction.forEach(a => interactions.push([a.action, a.succeeded, a.failed, percent(a.successRate)]));
+
+    // Bars are scaled to the most expensive day
+    const maxFees = Math.max(...aggregate.feesPerDay.map(d => d.fees), 0);
+    const fees = aggregate.feesPerDay.map(({ day, fees: lamports }) =>
+        `${day}  ${chalk.cyan('█'.repeat(Math.max(1, Math.round((lamports / maxFees) * 30))))} ${sol(lamports)} SOL`);
+
+    return `
+${chalk.yellow('📊 All runs')}: ${aggregate.runs}, ${new Date(aggregate.from).toLocaleDateString()} - ${new Date(aggregate.to).toLocaleDateString()}
+Total fees: ${sol(aggregate.totalFees)} SOL
+Interaction success rate: ${percent(aggregate.interactions.successRate)} (${aggregate.interactions.succeeded} ok, ${aggregate.interactions.failed} failed)
+
+Deployments per wallet:
+${aggregate.deploymentsPerWallet.length > 0 ? deployments.toString() : 'None'}
+
+Interactions:
+${aggregate.interactionsPerAction.length > 0 ? interactions.toString() : 'None'}
+
+SOL spent per day:
+${fees.join('\n') || 'None'}
+`;
+}
@@ -0,0 +1,378 @@
+/**
+ * Run reports
+ * A run is described once as plain data (buildReport) and saved as JSON in the reports
+ * directory. Text, CSV, Markdown and HTML files are rendered from that data, without colours.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Table from 'cli-table3';
+import chalk, { Chalk } from 'chalk';
+
+export const REPORTS_DIR = 'reports';
+export const REPORT_FORMATS = ['json', 'txt', 'csv', 'md', 'html'];
+
+const REPORT_VERSION = 1;
+const plain = new Chalk({ level: 0 });
+
+// Parallel wallets finish in any order, a stable sort groups each wallet's entries while keeping their own order
+export const byWallet = (a, b) => a.walletIndex - b.walletIndex;
+
+const toIso = (value) => (value instanceof Date ? value.toISOString() : value);
+
+const sol = (lamports) => (lamports / 1e9).toFixed(9);
+
+export function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    const parts = [];
+    if (seconds >= 3600) parts.push(`${Math.floor(seconds / 3600)}h`);
+    if (seconds >= 60) parts.push(`${Math.floor(seconds / 60) % 60}m`);
+    parts.push(`${seconds % 60}s`);
+    return parts.join(' ');
+}
+
+// What the summary counts an entry as, e.g. "deploy Token" or "Token transfer"
+export function actionLabel(entry, kind) {
+    if (kind === 'deployment') return `deploy ${entry.type}`;
+    if (kind === 'interaction') return `${entry.type} ${entry.action}`;
+    if (entry.stage === 'deploy') return entry.type ? `deploy ${entry.type}` : 'deploy';
+    if (entry.stage === 'balance') return 'balance check';
+    return entry.type ? `${entry.type} ${entry.stage}` : entry.stage;
+}
+
+const summarize = (deployments, interactions, failures, startedAt, finishedAt) => {
+    const actions = new Map();
+    const count = (label, field) => {
+        const row = actions.get(label) ?? { action: label, succeeded: 0, failed: 0 };
+        row[field]++;
+        actions.set(label, row);
+    };
+    deployments.forEach(d => count(actionLabel(d, 'deployment'), 'succeeded'));
+    interactions.forEach(i => count(actionLabel(i, 'interaction'), 'succeeded'));
+    failures.forEach(f => count(actionLabel(f, 'failure'), 'failed'));
+
+    const transactions = [...deployments, ...interactions].flatMap(entry => entry.transactions ?? []);
+    return {
+        actions: [...actions.values()],
+        succeeded: deployments.length + interactions.length,
+        failed: failures.length,
+        wallets: new Set([...deployments, ...interactions, ...failures].map(e => e.walletIndex)).size,
+        transactions: transactions.length,
+        totalFees: transactions.reduce((sum, tx) => sum + (tx.fee ?? 0), 0),
+        // Transactions whose fee could not be looked up are left out of totalFees
+        unknownFees: transactions.filter(tx => tx.fee === null || tx.fee === undefined).length,
+        startedAt,
+        finishedAt,
+        elapsedMs: startedAt && finishedAt ? Date.parse(finishedAt) - Date.parse(startedAt) : null
+    };
+};
+
+// The report data model, every later format is rendered from this
+// " (seed 42, scenario random)" for runs that recorded them
+const runReplay = (run) => (run.seed === undefined ? '' : ` (seed ${run.seed}, scenario ${run.scenario})`);
+
+export function buildReport({ network, rpcUrl, run = null, deployments = [], interactions = [], failures = [], generatedAt = new Date() }) {
+    const serialize = (entry) => ({ ...entry, timestamp: toIso(entry.timestamp) });
+    const sortedDeployments = deployments.map(serialize).sort(byWallet);
+    const sortedInteractions = interactions.map(serialize).sort(byWallet);
+    const sortedFailures = failures.map(serialize).sort(byWallet);
+
+    const times = [...sortedDeployments, ...sortedInteractions].map(e => e.timestamp).filter(Boolean).sort();
+    const startedAt = run?.startedAt ?? times[0] ?? null;
+    const finishedAt = run?.finishedAt ?? toIso(generatedAt);
+
+    return {
+        version: REPORT_VERSION,
+        generatedAt: toIso(generatedAt),
+        network,
+        rpcUrl,
+        run: run && {
+            id: run.id,
+            type: run.type,
+            status: run.status,
+            ...(run.seed !== undefined && { scenario: run.scenario, seed: run.seed })
+        },
+        summary: summarize(sortedDeployments, sortedInteractions, sortedFailures, startedAt, finishedAt),
+        deployments: sortedDeployments,
+        interactions: sortedInteractions,
+        failures: sortedFailures
+    };
+}
+
+// One row per transaction, entries without a transaction still get a row
+const transactionRows = (report) => {
+    const rows = [];
+    const add = (kind, entry, fields) => {
+        const transactions = entry.transactions?.length ? entry.transactions : [null];
+        for (const tx of transactions) {
+            rows.push({
+                kind,
+                time: entry.timestamp ?? '',
+                wallet: entry.walletIndex,
+                ...fields,
+                signature: tx?.signature ?? entry.signature ?? '',
+                slot: tx?.slot ?? '',
+                fee: tx?.fee === null || tx?.fee === undefined ? '' : sol(tx.fee),
+                status: tx?.status ?? '',
+                explorer: tx?.explorer ?? ''
+            });
+        }
+    };
+    report.deployments.forEach(d => add('deployment', d, { action: actionLabel(d, 'deployment'), detail: d.address, error: '' }));
+    report.interactions.forEach(i => add('interaction', i, { action: actionLabel(i, 'interaction'), detail: i.result, error: '' }));
+    report.failures.forEach(f => add('failure', f, { action: actionLabel(f, 'failure'), detail: '', error: f.error }));
+    return rows;
+};
+
+const summaryLines = (report) => {
+    const { summary } = report;
+    const fees = `${sol(summary.totalFees)} SOL${summary.unknownFees ? ` (fee unknown for ${summary.unknownFees} of ${summary.transactions} transactions)` : ''}`;
+    return [
+        ['Wallets', summary.wallets],
+        ['Succeeded', summary.succeeded],
+        ['Failed', summary.failed],
+        ['Transactions', summary.transactions],
+        ['Total fees', fees],
+        ['Elapsed', summary.elapsedMs === null ? 'unknown' : formatDuration(summary.elapsedMs)]
+    ];
+};
+
+const localTime = (iso) => new Date(iso).toLocaleTimeString();
+
+// Terminal and .txt rendering, colours only when asked for
+export function renderText(report, { color = false } = {}) {
+    const c = color ? chalk : plain;
+    const table = (head) => new Table({
+        head: head.map(h => c.yellow(h)),
+        ...(!color && { style: { head: [], border: [] } })
+    });
+
+    const summaryTable = table(['Action', 'Succeeded', 'Failed']);
+    report.summary.actions.forEach(a => summaryTable.push([c.magenta(a.action), c.green(a.succeeded), a.failed ? c.red(a.failed) : a.failed]));
+
+    const deployTable = table(['Time', 'Wallet #', 'Type', 'Address']);
+    report.deployments.forEach(d => {
+        deployTable.push([c.cyan(localTime(d.timestamp)), c.green(`#${d.walletIndex}`), c.magenta(d.type), c.cyan(d.address)]);
+    });
+
+    const interactionTable = table(['Time', 'Wallet #', 'Type', 'Action', 'Result']);
+    report.interactions.forEach(i => {
+        interactionTable.push([c.cyan(localTime(i.timestamp)), c.green(`#${i.walletIndex}`), c.magenta(i.type), c.yellow(i.action), c.cyan(i.result)]);
+    });
+
+    // Signatures and links are too long for a table, every transaction gets its own block
+    const transactionLines = [];
+    const addTransactions = (label, entry) => {
+        for (const tx of entry.transactions ?? []) {
+            const fee = tx.fee === null || tx.fee === undefined ? 'fee unknown' : `fee ${sol(tx.fee)} SOL`;
+            transactionLines.push(
+                `Wallet #${entry.walletIndex} ${label}`,
+                `  Signature: ${tx.signature}`,
+                `  Slot ${tx.slot ?? 'unknown'} | ${fee} | ${tx.status}`,
+                ...(tx.explorer ? [`  ${tx.explorer}`] : []),
+                ''
+            );
+        }
+    };
+    report.deployments.forEach(d => addTransactions(`${d.type} ${d.address}`, d));
+    report.interactions.forEach(i => addTransactions(`${i.type} ${i.action}: ${i.result}`, i));
+
+    const failureLines = report.failures.map(f =>
+        c.red(`Wallet #${f.walletIndex} ${actionLabel(f, 'failure')}: ${f.error}${f.signature ? ` (signature ${f.signature})` : ''}`));
+
+    const explorerLines = report.deployments.filter(d => d.explorer).map(d => `${d.type} ${d.address}: ${d.explorer}`);
+
+    return `
+=== ONIXIA Sonic Deployment Report ===
+
+Network: ${report.network} (${report.rpcUrl})${report.run ? `\nRun: ${report.run.id}${runReplay(report.run)}` : ''}
+
+Summary:
+${summaryLines(report).map(([label, value]) => `${label}: ${value}`).join('\n')}
+${summaryTable.toString()}
+
+Deployments:
+${deployTable.toString()}
+${explorerLines.join('\n')}
+
+Interactions:
+${interactionTable.toString()}
+
+Transactions:
+${transactionLines.join('\n') || 'None\n'}
+Failures:
+${failureLines.join('\n') || 'None'}
+
+Generated at: ${report.generatedAt}
+`;
+}
+
+const csvCell = (value) => {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export function renderCsv(report) {
+    const columns = ['kind', 'time', 'wallet', 'action', 'detail', 'error', 'signature', 'slot', 'fee', 'status', 'explorer'];
+    const lines = [columns.join(',')];
+    for (const row of transactionRows(report)) {
+        lines.push(columns.map(column => csvCell(row[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+const mdCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+const mdTable = (head, rows) => [
+    `| ${head.join(' | ')} |`,
+    `| ${head.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(mdCell).join(' | ')} |`)
+].join('\n');
+
+const mdLink = (text, url) => (url ? `[${mdCell(text)}](${url})` : mdCell(text));
+
+export function renderMarkdown(report) {
+    const sections = [
+        '# ONIXIA Sonic Deployment Report',
+        `Network: **${mdCell(report.network)}** (${mdCell(report.rpcUrl)})${report.run ? `  \nRun: \`${report.run.id}\`${mdCell(runReplay(report.run))}` : ''}`,
+        '## Summary',
+        summaryLines(report).map(([label, value]) => `- ${label}: ${value}`).join('\n'),
+        mdTable(['Action', 'Succeeded', 'Failed'], report.summary.actions.map(a => [a.action, a.succeeded, a.failed])),
+        '## Deployments',
+        report.deployments.length > 0
+            ? mdTable(['Time', 'Wallet #', 'Type', 'Address'], report.deployments.map(d => [d.timestamp, `#${d.walletIndex}`, d.type, mdLink(d.address, d.explorer)]))
+            : 'None',
+        '## Interactions',
+        report.interactions.length > 0
+            ? mdTable(['Time', 'Wallet #', 'Type', 'Action', 'Result'], report.interactions.map(i => [i.timestamp, `#${i.walletIndex}`, i.type, i.action, i.result]))
+            : 'None',
+        '## Transactions',
+        mdTable(['Wallet #', 'Action', 'Signature', 'Slot', 'Fee (SOL)', 'Status'], transactionRows(report)
+            .filter(row => row.kind !== 'failure' && row.signature)
+            .map(row => [`#${row.wallet}`, row.action, mdLink(row.signature, row.explorer), row.slot, row.fee, row.status])),
+        '## Failures',
+        report.failures.length > 0
+            ? mdTable(['Wallet #', 'Action', 'Error', 'Signature'], report.failures.map(f => [`#${f.walletIndex}`, actionLabel(f, 'failure'), f.error, f.signature ?? '']))
+            : 'None',
+        `_Generated at ${report.generatedAt}_`
+    ];
+    return sections.join('\n\n') + '\n';
+}
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const htmlLink = (text, url) => (url ? `<a href="${escapeHtml(url)}">${escapeHtml(text)}</a>` : escapeHtml(text));
+
+// Cells are escaped unless wrapped as { html }
+const htmlTable = (head, rows) => {
+    if (rows.length === 0) return '<p>None</p>';
+    const cell = (value) => `<td>${value?.html ?? escapeHtml(value)}</td>`;
+    return `<table>
+<thead><tr>${head.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.map(row => `<tr>${row.map(cell).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+};
+
+export function renderHtml(report) {
+    const title = `Sonic Deployment Report - ${report.network} - ${report.generatedAt}`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem; color: #1f2328; }
+table { border-collapse: collapse; margin: 1rem 0; }
+th, td { border: 1px solid #d0d7de; padding: 0.3rem 0.6rem; text-align: left; font-size: 0.9rem; }
+th { background: #f6f8fa; }
+td { font-family: ui-monospace, monospace; word-break: break-all; }
+.failed { color: #cf222e; }
+</style>
+</head>
+<body>
+<h1>ONIXIA Sonic Deployment Report</h1>
+<p>Network: <strong>${escapeHtml(report.network)}</strong> (${escapeHtml(report.rpcUrl)})${report.run ? `<br>Run: <code>${escapeHtml(report.run.id)}</code>${escapeHtml(runReplay(report.run))}` : ''}</p>
+<h2>Summary</h2>
+<ul>
+${summaryLines(report).map(([label, value]) => `<li>${escapeHtml(label)}: ${escapeHtml(value)}</li>`).join('\n')}
+</ul>
+${htmlTable(['Action', 'Succeeded', 'Failed'], report.summary.actions.map(a => [
+        a.action,
+        a.succeeded,
+        { html: a.failed ? `<span class="failed">${a.failed}</span>` : '0' }
+    ]))}
+<h2>Deployments</h2>
+${htmlTable(['Time', 'Wallet #', 'Type', 'Address'], report.deployments.map(d => [
+        d.timestamp, `#${d.walletIndex}`, d.type, { html: htmlLink(d.address, d.explorer) }
+    ]))}
+<h2>Interactions</h2>
+${htmlTable(['Time', 'Wallet #', 'Type', 'Action', 'Result'], report.interactions.map(i => [
+        i.timestamp, `#${i.walletIndex}`, i.type, i.action, i.result
+    ]))}
+<h2>Transactions</h2>
+${htmlTable(['Wallet #', 'Action', 'Signature', 'Slot', 'Fee (SOL)', 'Status'], transactionRows(report)
+        .filter(row => row.kind !== 'failure' && row.signature)
+        .map(row => [`#${row.wallet}`, row.action, { html: htmlLink(row.signature, row.explorer) }, row.slot, row.fee, row.status]))}
+<h2>Failures</h2>
+${htmlTable(['Wallet #', 'Action', 'Error', 'Signature'], report.failures.map(f => [
+        `#${f.walletIndex}`, actionLabel(f, 'failure'), { html: `<span class="failed">${escapeHtml(f.error)}</span>` }, f.signature ?? ''
+    ]))}
+<p><em>Generated at ${escapeHtml(report.generatedAt)}</em></p>
+</body>
+</html>
+`;
+}
+
+const RENDERERS = {
+    json: (report) => JSON.stringify(report, null, 2) + '\n',
+    txt: (report) => renderText(report),
+    csv: renderCsv,
+    md: renderMarkdown,
+    html: renderHtml
+};
+
+export function renderReport(report, format) {
+    const render = RENDERERS[format];
+    if (!render) throw new Error(`Unknown report format ${format}, use one of ${REPORT_FORMATS.join(', ')}`);
+    return render(report);
+}
+
+// Writes the JSON data file plus every other requested format side by side, returns { format: file }
+export function writeReport(report, { directory = REPORTS_DIR, formats = REPORT_FORMATS } = {}) {
+    fs.mkdirSync(directory, { recursive: true });
+    const base = path.join(directory, `sonic-report-${Date.parse(report.generatedAt)}`);
+    const files = {};
+    for (const format of new Set(['json', ...formats])) {
+        files[format] = `${base}.${format}`;
+        fs.writeFileSync(files[format], renderReport(report, format));
+    }
+    return files;
+}
+
+// Saved report data files, newest first. Text reports from before the reports directory are listed after them.
+export function listReports(directory = REPORTS_DIR) {
+    const saved = fs.existsSync(directory)
+        ? fs.readdirSync(directory)
+            .filter(file => /^sonic-report-\d+\.json$/.test(file))
+            .map(file => path.join(directory, file))
+        : [];
+    const legacy = fs.readdirSync('.').filter(file => /^sonic-report-\d+\.txt$/.test(file));
+    const newestFirst = (files) => files.sort((a, b) => path.basename(b).localeCompare(path.basename(a), undefined, { numeric: true }));
+    return [...newestFirst(saved), ...newestFirst(legacy)];
+}
+
+// The report data for a .json file, null for an old text report
+export function readReport(file) {
+    if (!file.endsWith('.json')) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Report ${file} is not valid JSON (${error.message})`);
+    }
+}
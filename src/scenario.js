@@ -0,0 +1,222 @@
+/**
+ * Interaction scenarios
+ * A scenario file says which interactions a run performs: steps taken in order or picked by
+ * weight, with amounts, transfer targets and delays. All randomness comes from a seeded RNG,
+ * so the same seed replays a run exactly, whatever the wallet order or concurrency.
+ *
+ *   {
+ *     "name": "mint then spread",
+ *     "mode": "ordered",
+ *     "seed": 42,
+ *     "steps": [
+ *       { "action": "mint", "amount": 1000, "delay": 5 },
+ *       { "action": "transfer", "amount": { "min": 10, "max": 100 }, "target": "round-robin" },
+ *       { "action": "burn", "amount": { "min": 1, "max": 20 }, "delay": { "min": 2, "max": 10 } }
+ *     ]
+ *   }
+ */
+
+import fs from 'fs';
+
+export const SCENARIO_ACTIONS = {
+    token: ['mint', 'transfer', 'burn', 'freeze', 'thaw', 'approve', 'revoke', 'delegate-transfer', 'close', 'set-authority'],
+    nft: ['mint', 'transfer', 'update']
+};
+
+// What a run without a scenario picks from
+const DEFAULT_ACTIONS = {
+    token: ['mint', 'transfer', 'burn'],
+    nft: ['mint', 'transfer', 'update']
+};
+
+// The ranges random runs always used, in base units. Only these actions take an amount.
+export const DEFAULT_AMOUNTS = {
+    mint: { min: 1, max: 1000 },
+    transfer: { min: 1, max: 100 },
+    burn: { min: 1, max: 50 },
+    approve: { min: 1, max: 100 },
+    'delegate-transfer': { min: 1, max: 50 }
+};
+
+// Actions aimed at a wallet or address and the target they use when none is given: who
+// receives, who becomes delegate or authority, whose token account is frozen or thawed
+export const DEFAULT_TARGETS = {
+    transfer: 'random',
+    'delegate-transfer': 'random',
+    approve: 'random',
+    freeze: 'self',
+    thaw: 'self',
+    'set-authority': 'random'
+};
+
+const TARGETS = ['random', 'round-robin'];
+
+export const AUTHORITIES = ['mint', 'freeze'];
+
+export class ScenarioError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+        this.name = 'ScenarioError';
+        this.problems = problems;
+    }
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// FNV-1a, turns any seed text into the 32 bit state mulberry32 starts from
+const hashSeed = (text) => {
+    let hash = 0x811c9dc5;
+    for (const ch of String(text)) {
+        hash ^= ch.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+// mulberry32: small, fast and the same on every platform
+export function createRng(seed) {
+    let state = hashSeed(seed);
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    return {
+        next,
+        int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+        pick: (list) => list[Math.floor(next() * list.length)]
+    };
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * 2 ** 31);
+}
+
+// A fixed value or a { min, max } range, `what` names it in problems
+const checkRange = (value, what, problems, { integer = false, min = 0 } = {}) => {
+    // Amounts given in base units from the command line are bigints, beyond what a number holds exactly
+    const ok = (n) => (typeof n === 'bigint' ? integer && n >= BigInt(min)
+        : typeof n === 'number' && Number.isFinite(n) && n >= min && (!integer || Number.isInteger(n)));
+    if (isObject(value)) {
+        if (!ok(value.min) || !ok(value.max) || value.min > value.max) {
+            problems.push(`${what} range needs min <= max${integer ? ', whole numbers' : ''} from ${min}`);
+        }
+    } else if (!ok(value)) {
+        problems.push(`${what} must be a ${integer ? 'whole ' : ''}number from ${min} or { "min", "max" }`);
+    }
+};
+
+const isAddress = (value) => typeof value === 'string' && /^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(value);
+
+// Checks a scenario and fills in defaults. type is the run type, token or nft.
+export function parseScenario(data, type = 'token', name = 'scenario') {
+    if (!isObject(data)) throw new ScenarioError(`Invalid ${name}`, ['top level must be an object']);
+
+    const problems = [];
+    const actions = SCENARIO_ACTIONS[type];
+    const mode = data.mode ?? 'ordered';
+    if (!['ordered', 'weighted'].includes(mode)) problems.push('mode must be ordered or weighted');
+    if (data.seed !== undefined && typeof data.seed !== 'number' && typeof data.seed !== 'string') {
+        problems.push('seed must be a number or a string');
+    }
+    if (!Array.isArray(data.steps) || data.steps.length === 0) {
+        problems.push('steps must be a non-empty list');
+    }
+
+    const steps = (Array.isArray(data.steps) ? data.steps : []).map((step, i) => {
+        const at = `steps[${i}]`;
+        if (!isObject(step)) {
+            problems.push(`${at} must be an object`);
+            return null;
+        }
+        if (!actions.includes(step.action)) {
+            problems.push(`${at}.action must be one of ${actions.join(', ')} for ${type} runs`);
+        }
+        if (step.amount !== undefined) {
+            if (type === 'nft') problems.push(`${at}.amount does not apply to NFT interactions`);
+            else if (actions.includes(step.action) && !DEFAULT_AMOUNTS[step.action]) problems.push(`${at}.amount does not apply to ${step.action}`);
+            else checkRange(step.amount, `${at}.amount`, problems, { integer: true, min: 1 });
+        }
+        if (step.delay !== undefined) checkRange(step.delay, `${at}.delay (seconds)`, problems);
+        if (step.weight !== undefined && !(typeof step.weight === 'number' && step.weight > 0)) {
+            problems.push(`${at}.weight must be a positive number`);
+        }
+        const targeted = step.action === 'transfer' || (type === 'token' && DEFAULT_TARGETS[step.action]);
+        if (step.target !== undefined) {
+            // self: the wallet's own token account, none: revoke the authority
+            const extra = step.action === 'freeze' || step.action === 'thaw' ? ['self']
+                : step.action === 'set-authority' ? ['none']
+                : [];
+            if (!targeted) {
+                problems.push(`${at}.target only applies to ${Object.keys(DEFAULT_TARGETS).join(', ')}`);
+            } else if (!Number.isInteger(step.target) && ![...TARGETS, ...extra].includes(step.target) && !isAddress(step.target)) {
+                const names = ['a wallet number', 'an address', ...TARGETS, ...extra];
+                problems.push(`${at}.target must be ${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`);
+            }
+        }
+        if (step.authority !== undefined && (step.action !== 'set-authority' || !AUTHORITIES.includes(step.authority))) {
+            problems.push(`${at}.authority only applies to set-authority and must be mint or freeze`);
+        }
+        return {
+            action: step.action,
+            ...(type === 'token' && DEFAULT_AMOUNTS[step.action] && { amount: step.amount ?? DEFAULT_AMOUNTS[step.action] }),
+            ...(targeted && { target: step.target ?? DEFAULT_TARGETS[step.action] ?? 'random' }),
+            ...(step.action === 'set-authority' && { authority: step.authority ?? 'mint' }),
+            ...(step.delay !== undefined && { delay: step.delay }),
+            weight: step.weight ?? 1
+        };
+    });
+
+    if (problems.length > 0) throw new ScenarioError(`Invalid ${name}`, problems);
+    return { name: data.name ?? name, type, mode, ...(data.seed !== undefined && { seed: data.seed }), steps };
+}
+
+export function loadScenario(file, type = 'token') {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ScenarioError(`Invalid scenario ${file}`, [error.code === 'ENOENT' ? 'file not found' : `not valid JSON (${error.message})`]);
+    }
+    return parseScenario(data, type, `scenario ${file}`);
+}
+
+// What runs did before scenarios: mint, transfer and burn (update for NFTs) equally likely,
+// the old amount ranges. The other token actions only run when a scenario asks for them.
+export function defaultScenario(type = 'token') {
+    return parseScenario({
+        name: 'random',
+        mode: 'weighted',
+        steps: DEFAULT_ACTIONS[type].map(action => ({ action }))
+    }, type);
+}
+
+const resolve = (value, rng) => (isObject(value) ? rng.int(value.min, value.max) : value);
+
+// Interaction `number` (from 1) of a wallet, with its amount and delay drawn. Weighted picks skip
+// actions `allowed` rules out for the wallet (mint without mint authority), ordered steps are taken
+// as written and fail with the reason. The returned rng is for any further picks of the step.
+export function scenarioStep(scenario, { seed, walletIndex, number, allowed = () => true, defaultDelayMs = 0 }) {
+    const rng = createRng(`${seed}:${walletIndex}:${number}`);
+
+    let step;
+    if (scenario.mode === 'ordered') {
+        step = scenario.steps[(number - 1) % scenario.steps.length];
+    } else {
+        const usable = scenario.steps.filter(s => allowed(s.action));
+        const steps = usable.length > 0 ? usable : scenario.steps;
+        let roll = rng.next() * steps.reduce((sum, s) => sum + s.weight, 0);
+        step = steps.find(s => (roll -= s.weight) < 0) ?? steps[steps.length - 1];
+    }
+
+    return {
+        action: step.action,
+        amount: step.amount === undefined ? undefined : resolve(step.amount, rng),
+        target: step.target,
+        authority: step.authority,
+        delayMs: step.delay === undefined ? defaultDelayMs : Math.round(resolve(step.delay, rng) * 1000),
+        rng
+    };
+}
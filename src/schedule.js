@@ -0,0 +1,107 @@
+/**
+ * Cron schedules
+ * Five-field cron expressions (minute, hour, day of month, month, day of week) in local time,
+ * as crontab reads them: `*`, lists, ranges and steps, plus @hourly, @daily, @weekly and
+ * @monthly. nextRun gives the exact minute a schedule fires next, without any random offset.
+ *
+ *   "0 9 * * 1-5"       09:00 on weekdays
+ *   "30 8-20/4 * * *"   08:30, 12:30, 16:30 and 20:30
+ */
+
+export class ScheduleError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+        this.name = 'ScheduleError';
+        this.problems = problems;
+    }
+}
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    // 7 is Sunday too
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// The values one field allows, or a problem
+const parseField = (text, { name, min, max }) => {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) return { problem: `${name} "${part}" is not a number, range, list or step` };
+        const [, all, from, to, step] = match;
+        const start = all === '*' ? min : Number(from);
+        const end = all === '*' ? max : to !== undefined ? Number(to) : step !== undefined ? max : start;
+        if (start < min || end > max || start > end) return { problem: `${name} "${part}" is outside ${min}-${max}` };
+        if (step !== undefined && Number(step) === 0) return { problem: `${name} step cannot be 0` };
+        for (let value = start; value <= end; value += Number(step ?? 1)) values.add(value);
+    }
+    // As in cron, a field starting with * (also */2) does not restrict the day
+    return { values, any: text.startsWith('*') };
+};
+
+// A parsed schedule for nextRun, throws ScheduleError with every problem of the expression
+export function parseSchedule(expression) {
+    const text = MACROS[String(expression).trim()] ?? String(expression).trim();
+    const parts = text.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new ScheduleError(`Invalid schedule "${expression}"`, ['needs five fields: minute hour day-of-month month day-of-week']);
+    }
+
+    const problems = [];
+    const fields = parts.map((part, i) => {
+        const field = parseField(part, FIELDS[i]);
+        if (field.problem) problems.push(field.problem);
+        return field;
+    });
+    if (problems.length > 0) throw new ScheduleError(`Invalid schedule "${expression}"`, problems);
+
+    const [minutes, hours, days, months, weekdays] = fields;
+    if (weekdays.values.has(7)) weekdays.values.add(0);
+    return { expression: String(expression), minutes, hours, days, months, weekdays };
+}
+
+// As in cron, a restricted day of month and day of week fire on either
+const dayMatches = (schedule, date) => {
+    const { days, weekdays } = schedule;
+    const day = days.values.has(date.getDate());
+    const weekday = weekdays.values.has(date.getDay());
+    if (days.any || weekdays.any) return day && weekday;
+    return day || weekday;
+};
+
+// Searching further than this means the schedule names a date that never comes, like 31 * 2
+const MAX_SEARCH_DAYS = 366 * 4;
+
+// The first minute after `from` the schedule fires, as a Date on the minute
+export function nextRun(schedule, from = new Date()) {
+    if (typeof schedule === 'string') schedule = parseSchedule(schedule);
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(date);
+    limit.setDate(limit.getDate() + MAX_SEARCH_DAYS);
+    while (date < limit) {
+        if (!schedule.months.values.has(date.getMonth() + 1) || !dayMatches(schedule, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!schedule.hours.values.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!schedule.minutes.values.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    throw new ScheduleError(`Schedule "${schedule.expression}" never fires`);
+}
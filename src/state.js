@@ -0,0 +1,108 @@
+/**
+ * Persistent run state
+ * Keeps every deployed token and NFT collection, and the progress of each run,
+ * in a JSON file so a crashed or interrupted run can be resumed.
+ */
+
+import fs from 'fs';
+
+export const STATE_FILE = 'sonic-state.json';
+
+// Finished runs kept in the file, unfinished ones are never dropped
+const MAX_FINISHED_RUNS = 50;
+
+const emptyState = () => ({
+    version: 1,
+    tokens: [],
+    collections: [],
+    runs: []
+});
+
+export class StateStore {
+    constructor(file = STATE_FILE) {
+        this.file = file;
+        this.data = emptyState();
+
+        if (fs.existsSync(file)) {
+            try {
+                this.data = { ...emptyState(), ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+            } catch (error) {
+                throw new Error(`State file ${file} is not valid JSON (${error.message}), move it away to start fresh`);
+            }
+        }
+    }
+
+    // An in-memory copy that is never written, for dry runs
+    detached() {
+        const copy = Object.create(StateStore.prototype);
+        copy.file = null;
+        copy.data = structuredClone(this.data);
+        return copy;
+    }
+
+    // Written to a temporary file first so a crash mid-write cannot corrupt the state
+    save() {
+        if (!this.file) return;
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmp, this.file);
+    }
+
+    upsert(list, entry) {
+        const index = list.findIndex(item => item.address === entry.address);
+        if (index === -1) {
+            list.push(entry);
+        } else {
+            list[index] = { ...list[index], ...entry };
+        }
+        this.save();
+    }
+
+    recordToken(entry) {
+        this.upsert(this.data.tokens, entry);
+    }
+
+    recordCollection(entry) {
+        this.upsert(this.data.collections, entry);
+    }
+
+    // Mints only exist on the network they were deployed to
+    tokensFor(owner, network) {
+        return this.data.tokens.filter(token => token.owner === owner && token.network === network);
+    }
+
+    collectionsFor(owner, network) {
+        return this.data.collections.filter(collection => collection.owner === owner && collection.network === network);
+    }
+
+    startRun(params) {
+        const run = {
+            id: `run-${Date.now()}`,
+            startedAt: new Date().toISOString(),
+            status: 'running',
+            ...params,
+            wallets: {},
+            deployments: [],
+            interactions: []
+        };
+        this.data.runs.push(run);
+        this.save();
+        return run;
+    }
+
+    unfinishedRun() {
+        return [...this.data.runs].reverse().find(run => run.status === 'running') ?? null;
+    }
+
+    finishRun(run, status = 'completed') {
+        run.status = status;
+        run.finishedAt = new Date().toISOString();
+
+        const finished = this.data.runs.filter(r => r.status !== 'running');
+        if (finished.length > MAX_FINISHED_RUNS) {
+            const drop = new Set(finished.slice(0, finished.length - MAX_FINISHED_RUNS));
+            this.data.runs = this.data.runs.filter(r => !drop.has(r));
+        }
+        this.save();
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * Token deployment options
+ * Validates name/symbol/URI, decimals, initial supply, authority handling,
+ * token program and Token-2022 extensions before any transaction is built.
+ */
+
+import { PublicKey } from '@solana/web3.js';
+import { TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } from '@solana/spl-token';
+
+export const TOKEN_PROGRAMS = {
+    'token': TOKEN_PROGRAM_ID,
+    'token-2022': TOKEN_2022_PROGRAM_ID
+};
+
+const MAX_NAME_LENGTH = 32;
+const MAX_SYMBOL_LENGTH = 10;
+const MAX_URI_LENGTH = 200;
+const MAX_U64 = (1n << 64n) - 1n;
+
+// Converts a UI amount such as "1000.5" into base units for the given decimals
+export function toBaseUnits(amount, decimals) {
+    const text = String(amount).trim();
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+    if (!match) throw new Error(`Invalid amount: ${amount}`);
+
+    const [, whole, fraction = ''] = match;
+    if (fraction.length > decimals) {
+        throw new Error(`Amount ${amount} has more than ${decimals} decimal places`);
+    }
+
+    const units = BigInt(whole + fraction.padEnd(decimals, '0'));
+    if (units > MAX_U64) throw new Error(`Amount ${amount} is larger than the maximum token supply`);
+    return units;
+}
+
+// 'keep' leaves the wallet in charge, 'revoke' clears it, anything else must be a wallet address
+const parseAuthority = (value, label, revokeWords) => {
+    const text = (value ?? '').trim();
+    if (text === '' || text === 'keep') return { mode: 'keep' };
+    if (revokeWords.includes(text)) return { mode: 'revoke' };
+    try {
+        return { mode: 'transfer', address: new PublicKey(text) };
+    } catch {
+        throw new Error(`${label} must be keep, ${revokeWords.join('/')} or a wallet address`);
+    }
+};
+
+const parseExtensions = (input, decimals, hasMetadata) => {
+    const extensions = {};
+
+    if (input.transferFee !== undefined && input.transferFee !== '') {
+        const basisPoints = Number(input.transferFee);
+        if (!Number.isInteger(basisPoints) || basisPoints < 0 || basisPoints > 10000) {
+            throw new Error('Transfer fee must be an integer between 0 and 10000 basis points');
+        }
+        const maxFee = input.maxFee === undefined || input.maxFee === '' ? MAX_U64 : toBaseUnits(input.maxFee, decimals);
+        extensions.transferFee = { basisPoints, maxFee };
+    }
+
+    if (input.interestRate !== undefined && input.interestRate !== '') {
+        // The rate is stored as an i16 in basis points
+        const rate = Number(input.interestRate);
+        if (!Number.isInteger(rate) || rate < -32768 || rate > 32767) {
+            throw new Error('Interest rate must be an integer number of basis points between -32768 and 32767');
+        }
+        extensions.interestRate = rate;
+    }
+
+    if (input.nonTransferable) extensions.nonTransferable = true;
+
+    // Token-2022 keeps name, symbol and URI in the mint itself, found through the metadata pointer
+    if (input.metadataPointer || hasMetadata) extensions.metadataPointer = true;
+
+    if (input.permanentDelegate !== undefined && input.permanentDelegate !== '') {
+        const text = String(input.permanentDelegate).trim();
+        if (text === 'self') {
+            extensions.permanentDelegate = { self: true };
+        } else {
+            try {
+                extensions.permanentDelegate = { address: new PublicKey(text) };
+            } catch {
+                throw new Error('Permanent delegate must be self or a wallet address');
+            }
+        }
+    }
+
+    if (extensions.nonTransferable && extensions.transferFee) {
+        throw new Error('Transfer fees cannot be combined with a non-transferable token');
+    }
+
+    return extensions;
+};
+
+export function parseTokenOptions(input = {}, defaults = {}) {
+    const name = (input.name ?? '').trim();
+    const symbol = (input.symbol ?? '').trim();
+    const uri = (input.uri ?? '').trim();
+
+    if (name.length > MAX_NAME_LENGTH) throw new Error(`Token name must be at most ${MAX_NAME_LENGTH} characters`);
+    if (symbol.length > MAX_SYMBOL_LENGTH) throw new Error(`Token symbol must be at most ${MAX_SYMBOL_LENGTH} characters`);
+    if (uri.length > MAX_URI_LENGTH) throw new Error(`Token URI must be at most ${MAX_URI_LENGTH} characters`);
+    if (uri && !/^(https?|ar|ipfs):\/\//.test(uri)) throw new Error('Token URI must be an http(s), ar:// or ipfs:// URL');
+    if (!name && (symbol || uri)) throw new Error('A token name is required when setting a symbol or URI');
+
+    const rawDecimals = input.decimals === undefined || input.decimals === '' ? defaults.decimals ?? 9 : Number(input.decimals);
+    if (!Number.isInteger(rawDecimals) || rawDecimals < 0 || rawDecimals > 255) {
+        throw new Error('Decimals must be an integer between 0 and 255');
+    }
+
+    const supply = input.supply === undefined || input.supply === '' ? 0n : toBaseUnits(input.supply, rawDecimals);
+
+    const program = (input.program ?? '').trim() || 'token';
+    if (!(program in TOKEN_PROGRAMS)) {
+        throw new Error(`Token program must be one of ${Object.keys(TOKEN_PROGRAMS).join(', ')}`);
+    }
+
+    let extensions = {};
+    if (program === 'token-2022') {
+        extensions = parseExtensions(input, rawDecimals, Boolean(name));
+    } else if (['transferFee', 'interestRate', 'nonTransferable', 'metadataPointer', 'permanentDelegate']
+        .some(key => input[key] !== undefined && input[key] !== '' && input[key] !== false)) {
+        throw new Error('Extensions need the token-2022 program');
+    }
+
+    return {
+        name,
+        symbol,
+        uri,
+        decimals: rawDecimals,
+        supply,
+        program,
+        programId: TOKEN_PROGRAMS[program],
+        extensions,
+        mintAuthority: parseAuthority(input.mintAuthority, 'Mint authority', ['revoke', 'none']),
+        freezeAuthority: parseAuthority(input.freezeAuthority, 'Freeze authority', ['disable', 'revoke', 'none'])
+    };
+}
+
+// Short human summary, e.g. "MYT, supply 1000000, mint authority revoked"
+export function describeTokenOptions(options) {
+    const parts = [];
+    if (options.name) parts.push(options.symbol ? `${options.name} (${options.symbol})` : options.name);
+    if (options.program !== 'token') parts.push(options.program);
+    parts.push(`${options.decimals} decimals`);
+    const { transferFee, interestRate, nonTransferable, metadataPointer, permanentDelegate } = options.extensions;
+    if (transferFee) parts.push(`transfer fee ${transferFee.basisPoints} bps`);
+    if (interestRate !== undefined) parts.push(`interest ${interestRate} bps`);
+    if (nonTransferable) parts.push('non-transferable');
+    if (metadataPointer) parts.push('metadata pointer');
+    if (permanentDelegate) parts.push(`permanent delegate ${permanentDelegate.self ? 'self' : permanentDelegate.address.toBase58()}`);
+    if (options.supply > 0n) parts.push(`supply ${options.supply} base units`);
+    const authority = (label, { mode, address }) => {
+        if (mode === 'revoke') parts.push(`${label} authority revoked`);
+        if (mode === 'transfer') parts.push(`${label} authority → ${address.toBase58()}`);
+    };
+    authority('mint', options.mintAuthority);
+    authority('freeze', options.freezeAuthority);
+    return parts.join(', ');
+}
+
+// Plain JSON form for the state file, bigints become strings and keys base58
+export function serializeTokenOptions(options) {
+    const authority = ({ mode, address }) => (address ? { mode, address: address.toBase58() } : { mode });
+    const { transferFee, permanentDelegate, ...extensions } = options.extensions;
+    return {
+        name: options.name,
+        symbol: options.symbol,
+        uri: options.uri,
+        decimals: options.decimals,
+        supply: options.supply.toString(),
+        program: options.program,
+        extensions: {
+            ...extensions,
+            ...(transferFee && { transferFee: { basisPoints: transferFee.basisPoints, maxFee: transferFee.maxFee.toString() } }),
+            ...(permanentDelegate && { permanentDelegate: permanentDelegate.self ? { self: true } : { address: permanentDelegate.address.toBase58() } })
+        },
+        mintAuthority: authority(options.mintAuthority),
+        freezeAuthority: authority(options.freezeAuthority)
+    };
+}
+
+export function deserializeTokenOptions(data) {
+    const authority = ({ mode, address }) => (address ? { mode, address: new PublicKey(address) } : { mode });
+    const { transferFee, permanentDelegate, ...extensions } = data.extensions;
+    return {
+        ...data,
+        supply: BigInt(data.supply),
+        programId: TOKEN_PROGRAMS[data.program],
+        extensions: {
+            ...extensions,
+            ...(transferFee && { transferFee: { basisPoints: transferFee.basisPoints, maxFee: BigInt(transferFee.maxFee) } }),
+            ...(permanentDelegate && { permanentDelegate: permanentDelegate.self ? { self: true } : { address: new PublicKey(permanentDelegate.address) } })
+        },
+        mintAuthority: authority(data.mintAuthority),
+        freezeAuthority: authority(data.freezeAuthority)
+    };
+}
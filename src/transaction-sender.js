@@ -0,0 +1,285 @@
+/**
+ * Shared transaction send pipeline
+ * Adds compute budget instructions, simulates before sending, rebroadcasts until confirmed,
+ * refreshes the blockhash when it expires and retries transient RPC failures with backoff. A
+ * transaction is only built again when the old one provably cannot land.
+ * Every outcome is also emitted as a `transaction` event, every retry as a `retry` event.
+ */
+
+import {
+    ComputeBudgetProgram,
+    TransactionExpiredBlockheightExceededError,
+    TransactionMessage,
+    VersionedTransaction
+} from '@solana/web3.js';
+import bs58 from 'bs58';
+import { EventEmitter } from 'events';
+
+export const DEFAULT_SEND_OPTIONS = {
+    retries: 3,
+    backoffMs: 1000,
+    timeoutMs: 60000,
+    rebroadcastMs: 2000,
+    computeUnitPrice: 0,
+    computeUnitLimit: 0,
+    simulate: true
+};
+
+// SPL Token program error codes, shared by Token-2022 for the same range
+const TOKEN_ERRORS = [
+    'NotRentExempt', 'InsufficientFunds', 'InvalidMint', 'MintMismatch', 'OwnerMismatch',
+    'FixedSupply', 'AlreadyInUse', 'InvalidNumberOfProvidedSigners', 'InvalidNumberOfRequiredSigners',
+    'UninitializedState', 'NativeNotSupported', 'NonNativeHasBalance', 'InvalidInstruction',
+    'InvalidState', 'Overflow', 'AuthorityTypeNotSupported', 'MintCannotFreeze', 'AccountFrozen',
+    'MintDecimalsMismatch', 'NonNativeNotSupported'
+];
+
+const TOKEN_PROGRAM_IDS = [
+    'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA',
+    'TokenzQdBNbLqP5VEhdkAS6EPFLC1PE9xyeSs7XTq6cR'
+];
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Pulls the useful lines out of program logs: explicit error logs and failed programs,
+// with token program error codes turned into names
+export function decodeProgramLogs(logs = []) {
+    const lines = [];
+    for (const log of logs) {
+        const failed = /^Program (\w+) failed: (.*)$/.exec(log);
+        if (failed) {
+            const [, program, reason] = failed;
+            const custom = /custom program error: (0x[0-9a-f]+)/i.exec(reason);
+            const code = custom ? parseInt(custom[1], 16) : null;
+            const name = code !== null && TOKEN_PROGRAM_IDS.includes(program) ? TOKEN_ERRORS[code] : null;
+            lines.push(`${program} failed: ${name ? `${name} (${custom[1]})` : reason}`);
+            continue;
+        }
+        if (/^Program log: (Error|error|AnchorError)/.test(log)) {
+            lines.push(log.replace(/^Program log: /, ''));
+        }
+    }
+    return lines;
+}
+
+export class TransactionError extends Error {
+    constructor(message, { signature = null, logs = [], retryable = false } = {}) {
+        const decoded = decodeProgramLogs(logs);
+        super(decoded.length > 0 ? `${message}: ${decoded.join('; ')}` : message);
+        this.name = 'TransactionError';
+        this.signature = signature;
+        this.logs = logs;
+        this.retryable = retryable;
+    }
+}
+
+const isRetryableRpcError = (error) => {
+    const message = String(error?.message ?? error);
+    return /429|Too Many Requests|fetch failed|ECONNRESET|ETIMEDOUT|ECONNREFUSED|socket hang up|502|503|504|Blockhash not found|BlockhashNotFound/i
+        .test(message);
+};
+
+// Errors of sending that prove the node never took the transaction: rate limited, nothing listening,
+// a blockhash it does not know or a failed preflight simulation. Anything else (a 502, a reset
+// connection) may come after the node accepted it.
+const wasRejected = (error) => {
+    const message = String(error?.message ?? error);
+    return /429|Too Many Requests|ECONNREFUSED|Blockhash not found|BlockhashNotFound|simulation failed/i.test(message);
+};
+
+export class TransactionSender extends EventEmitter {
+    constructor(connection, options = {}) {
+        super();
+        this.connection = connection;
+        this.options = { ...DEFAULT_SEND_OPTIONS, ...options };
+        this.feeCache = new Map();
+    }
+
+    // Builds, signs, simulates and sends the instructions of `transaction` (a web3 Transaction or an
+    // instruction array). The first signer pays. Resolves with { signature, slot, fee, status, attempts }.
+    async send(transaction, signers, overrides = {}) {
+        const options = { ...this.options, ...overrides };
+        const instructions = Array.isArray(transaction) ? transaction : transaction.instructions;
+        const uniqueSigners = [...new Map(signers.map(s => [s.publicKey.toBase58(), s])).values()];
+        const budget = this.budgetInstructions(options);
+        const payer = uniqueSigners[0].publicKey.toBase58();
+        const started = Date.now();
+
+        let lastError;
+        let attempt = 1;
+        for (; attempt <= options.retries + 1; attempt++) {
+            try {
+                const { signature, slot } = await this.attempt([...budget, ...instructions], uniqueSigners, options);
+                const details = await this.lookup(signature);
+                const result = {
+                    ...details,
+                    slot: details.slot ?? slot,
+                    status: details.status === 'unknown' ? 'confirmed' : details.status,
+                    attempts: attempt
+                };
+                this.emit('transaction', { ...result, payer, instructions: instructions.length, durationMs: Date.now() - started, error: null });
+                return result;
+            } catch (error) {
+                lastError = error;
+                // Raw RPC errors come from before the transaction could have been accepted, see attempt()
+                const retryable = error instanceof TransactionError ? error.retryable : isRetryableRpcError(error);
+                if (!retryable || attempt > options.retries) break;
+                const waitMs = options.backoffMs * 2 ** (attempt - 1);
+                this.emit('retry', { payer, attempt, waitMs, error: error.message });
+                await sleep(waitMs);
+            }
+        }
+        this.emit('transaction', {
+            signature: lastError.signature ?? null,
+            slot: null,
+            fee: null,
+            status: 'failed',
+            attempts: Math.min(attempt, options.retries + 1),
+            payer,
+            instructions: instructions.length,
+            durationMs: Date.now() - started,
+            error: lastError.message
+        });
+        throw lastError;
+    }
+
+    budgetInstructions(options = this.options) {
+        const budget = [];
+        if (options.computeUnitLimit > 0) {
+            budget.push(ComputeBudgetProgram.setComputeUnitLimit({ units: options.computeUnitLimit }));
+        }
+        if (options.computeUnitPrice > 0) {
+            budget.push(ComputeBudgetProgram.setComputeUnitPrice({ microLamports: options.computeUnitPrice }));
+        }
+        return budget;
+    }
+
+    // Fee in lamports `send` would pay for these instructions, priority fee included.
+    // The fee only depends on the signer count and compute budget, so equal shapes share one lookup.
+    async estimateFee(instructions, payer) {
+        const signers = new Set([payer.toBase58()]);
+        instructions.forEach(ix => ix.keys.filter(k => k.isSigner).forEach(k => signers.add(k.pubkey.toBase58())));
+        const key = `${signers.size}:${instructions.length}`;
+
+        if (!this.feeCache.has(key)) {
+            this.feeCache.set(key, (async () => {
+                const { blockhash } = await this.connection.getLatestBlockhash('confirmed');
+                const message = new TransactionMessage({
+                    payerKey: payer,
+                    recentBlockhash: blockhash,
+                    instructions: [...this.budgetInstructions(), ...instructions]
+                }).compileToLegacyMessage();
+                const { value } = await this.connection.getFeeForMessage(message, 'confirmed');
+                if (value === null) throw new Error('Could not estimate the transaction fee');
+                return value;
+            })());
+            // Failed lookups are retried next time
+            this.feeCache.get(key).catch(() => this.feeCache.delete(key));
+        }
+        return this.feeCache.get(key);
+    }
+
+    // Slot, fee in lamports and confirmation status of a landed transaction, for reports.
+    // A failed lookup leaves the fields empty, the transaction itself is not affected.
+    async lookup(signature) {
+        const [transaction, statuses] = await Promise.all([
+            this.connection.getTransaction(signature, {
+                commitment: 'confirmed',
+                maxSupportedTransactionVersion: 0
+            }).catch(() => null),
+            this.connection.getSignatureStatuses([signature]).catch(() => null)
+        ]);
+        const status = statuses?.value?.[0];
+        return {
+            signature,
+            slot: transaction?.slot ?? status?.slot ?? null,
+            fee: transaction?.meta?.fee ?? null,
+            status: status?.confirmationStatus ?? (transaction ? 'confirmed' : 'unknown')
+        };
+    }
+
+    async attempt(instructions, signers, options) {
+        const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash('confirmed');
+        const message = new TransactionMessage({
+            payerKey: signers[0].publicKey,
+            recentBlockhash: blockhash,
+            instructions
+        }).compileToLegacyMessage();
+        const transaction = new VersionedTransaction(message);
+        transaction.sign(signers);
+        const signature = bs58.encode(transaction.signatures[0]);
+
+        if (options.simulate) {
+            const { value } = await this.connection.simulateTransaction(transaction, { sigVerify: false, commitment: 'confirmed' });
+            if (value.err) {
+                const blockhashMissing = JSON.stringify(value.err).includes('BlockhashNotFound');
+                throw new TransactionError(`Simulation failed (${JSON.stringify(value.err)})`, {
+                    logs: value.logs ?? [],
+                    retryable: blockhashMissing
+                });
+            }
+        }
+
+        const raw = transaction.serialize();
+        const sendRaw = () => this.connection.sendRawTransaction(raw, {
+            skipPreflight: options.simulate,
+            maxRetries: 0
+        });
+        // Retrying an error that does not prove a rejection could run the transaction twice. It is
+        // confirmed like a sent one instead: it lands, or its blockhash expires and a fresh one is safe.
+        let sendError = null;
+        try {
+            await sendRaw();
+        } catch (error) {
+            if (wasRejected(error)) throw error;
+            sendError = error;
+        }
+
+        // The RPC may drop the transaction under load, keep rebroadcasting the same bytes until it lands
+        let settled = false;
+        (async () => {
+            while (!settled) {
+                await sleep(options.rebroadcastMs);
+                if (!settled) await sendRaw().catch(() => {});
+            }
+        })();
+
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new TransactionError(
+                `Not confirmed within ${options.timeoutMs / 1000}s${sendError ? ` after sending failed (${sendError.message})` : ''}, ` +
+                `signature ${signature} may still land`,
+                { signature }
+            )), options.timeoutMs);
+        });
+
+        try {
+            const { context, value } = await Promise.race([
+                this.connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed'),
+                timeout
+            ]);
+            if (value.err) {
+                const details = await this.connection.getTransaction(signature, {
+                    commitment: 'confirmed',
+                    maxSupportedTransactionVersion: 0
+                }).catch(() => null);
+                throw new TransactionError(`Transaction failed (${JSON.stringify(value.err)})`, {
+                    signature,
+                    logs: details?.meta?.logMessages ?? []
+                });
+            }
+            return { signature, slot: context.slot };
+        } catch (error) {
+            // Past its last valid block height the old transaction can never land, so a fresh one is safe
+            if (error instanceof TransactionExpiredBlockheightExceededError) {
+                throw new TransactionError('Blockhash expired before confirmation', { signature, retryable: true });
+            }
+            if (error instanceof TransactionError) throw error;
+            // Anything else happened after sending, resending now could execute twice
+            throw new TransactionError(`Confirmation failed (${error.message}), signature ${signature} may still land`, { signature });
+        } finally {
+            settled = true;
+            clearTimeout(timer);
+        }
+    }
+}
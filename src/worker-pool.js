@@ -0,0 +1,79 @@
+/**
+ * Parallel wallet processing
+ * Runs a worker over a list with at most `concurrency` in flight. Everything a worker awaits
+ * knows which wallet it belongs to, so console output can give each wallet its own prefixed
+ * lines in place of the shared spinner, which cannot show several wallets at once.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import chalk from 'chalk';
+
+const scope = new AsyncLocalStorage();
+
+// Resolves once every item has been handled, worker errors are the worker's to catch
+export async function runPool(items, concurrency, worker) {
+    let next = 0;
+    const lanes = Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    });
+    await Promise.all(lanes);
+}
+
+// Stands in for an ora spinner, each state change becomes one prefixed line
+export class PrefixedLines {
+    constructor(prefix, write) {
+        this.prefix = prefix;
+        this.write = write;
+        this._text = '';
+    }
+
+    line(symbol, text) {
+        this.write(`${this.prefix} ${symbol ? `${symbol} ` : ''}${text}`);
+    }
+
+    start(text) {
+        if (text !== undefined) this._text = text;
+        this.line(chalk.gray('…'), this._text);
+        return this;
+    }
+
+    get text() {
+        return this._text;
+    }
+
+    set text(text) {
+        this._text = text;
+        this.line(chalk.gray('…'), text);
+    }
+
+    succeed(text = this._text) {
+        this.line('', text);
+        return this;
+    }
+
+    fail(text = this._text) {
+        this.line('', text);
+        return this;
+    }
+
+    warn(text = this._text) {
+        this.line('', text);
+        return this;
+    }
+
+    stop() {
+        return this;
+    }
+}
+
+// Everything awaited inside `fn` belongs to wallet `index`
+export function withWallet(index, fn) {
+    return scope.run(index, fn);
+}
+
+export function currentWallet() {
+    return scope.getStore() ?? null;
+}
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { Daemon, DaemonStatus, localDay } from '../src/daemon.js';
+
+// A deployer whose runs end each wallet with the status `statuses` gives it
+const fakeDeployer = ({ maxJobsPerWalletPerDay, statuses }) => {
+    const deployer = new EventEmitter();
+    deployer.config = {
+        daemon: {
+            statusFile: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'daemon-')), 'status.json'),
+            maxJobsPerWalletPerDay,
+            jobs: []
+        }
+    };
+    deployer.settings = { interactionCount: 1 };
+    deployer.wallets = Object.keys(statuses).map(index => ({ index: Number(index) }));
+    deployer.log = () => {};
+    deployer.saveReport = () => ({ files: { json: 'report.json' } });
+    deployer.runs = [];
+    deployer.runDeployment = async (options) => {
+        deployer.runs.push(options);
+        options.walletIndexes.forEach(walletIndex => deployer.emit('wallet:done', { walletIndex, status: statuses[walletIndex] }));
+        return { run: { id: `run-${deployer.runs.length}`, status: 'completed' }, deployments: [], interactions: [], failures: [] };
+    };
+    return deployer;
+};
+
+const job = { name: 'deploy', command: 'deploy-token' };
+const signal = new AbortController().signal;
+
+test('wallets that ran use up their daily jobs, skipped ones do not', async () => {
+    const deployer = fakeDeployer({ maxJobsPerWalletPerDay: 1, statuses: { 1: 'done', 2: 'skipped', 3: 'failed' } });
+    const daemon = new Daemon(deployer);
+    const today = localDay(new Date());
+
+    await daemon.runJob(job, new Date(), signal);
+    assert.deepEqual(deployer.runs[0].walletIndexes, [1, 2, 3]);
+    assert.deepEqual(daemon.status.data.jobsPerWallet[today], { 1: 1, 3: 1 });
+    assert.deepEqual(daemon.eligibleWallets(job, today), [2]);
+
+    await daemon.runJob(job, new Date(), signal);
+    assert.deepEqual(deployer.runs[1].walletIndexes, [2]);
+    assert.equal(deployer.listenerCount('wallet:done'), 0);
+});
+
+test('a job with every wallet at its cap is skipped without running', async () => {
+    const deployer = fakeDeployer({ maxJobsPerWalletPerDay: 1, statuses: { 1: 'done' } });
+    const daemon = new Daemon(deployer);
+    await daemon.runJob(job, new Date(), signal);
+    await daemon.runJob(job, new Date(), signal);
+    assert.equal(deployer.runs.length, 1);
+    assert.deepEqual(daemon.status.data.results.map(result => result.status), ['completed', 'skipped']);
+});
+
+test('no cap runs every wallet every time', async () => {
+    const deployer = fakeDeployer({ maxJobsPerWalletPerDay: 0, statuses: { 1: 'done', 2: 'done' } });
+    const daemon = new Daemon(deployer);
+    for (let i = 0; i < 3; i++) await daemon.runJob(job, new Date(), signal);
+    assert.deepEqual(deployer.runs.map(run => run.walletIndexes), [[1, 2], [1, 2], [1, 2]]);
+});
+
+test('job counts survive a restart and only the last days are kept', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'daemon-')), 'status.json');
+    const status = new DaemonStatus(file);
+    for (let day = 1; day <= 9; day++) status.countJob([1], `2026-10-0${day}`);
+    status.countJob([1, 2], '2026-10-09');
+
+    const reloaded = new DaemonStatus(file);
+    assert.equal(reloaded.jobsToday(1, '2026-10-09'), 2);
+    assert.equal(reloaded.jobsToday(2, '2026-10-09'), 1);
+    assert.deepEqual(Object.keys(reloaded.data.jobsPerWallet), ['2026-10-03', '2026-10-04', '2026-10-05', '2026-10-06', '2026-10-07', '2026-10-08', '2026-10-09']);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Keypair } from '@solana/web3.js';
+import { parseRecipients, planDistribution, readSentRows, writeDistributionResults } from '../src/distribution.js';
+
+const [alice, bob, carol] = Array.from({ length: 3 }, () => Keypair.generate().publicKey.toBase58());
+
+const plan = (text, resultFile) => planDistribution({
+    sender: { index: 1, address: alice },
+    mint: 'mint',
+    decimals: 0,
+    recipients: parseRecipients(text, 0),
+    balance: 1000n,
+    lamports: 1e9,
+    sent: readSentRows(resultFile),
+    missingAta: () => false,
+    ataRent: 0,
+    feePerTransaction: 5000
+});
+
+const tempFile = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'distribution-')), 'list.results.csv');
+
+test('rows sent before stay sent after the list is edited', () => {
+    const resultFile = tempFile();
+    const first = plan(`${bob},10\n${carol},20\n${bob},10\n`, resultFile);
+    first.rows.forEach(row => Object.assign(row, { status: 'sent', signature: 'sig' }));
+    writeDistributionResults(resultFile, first);
+
+    // A header, a comment and a new row move every line
+    const edited = plan(`address,amount\n# payouts\n${bob},10\n${carol},20\n\n${bob},10\n${carol},5\n`, resultFile);
+    assert.deepEqual(edited.rows.map(row => row.status), ['done', 'done', 'done', 'pending']);
+    assert.equal(edited.total, 5n);
+});
+
+test('a repeated recipient and amount is only skipped as often as it was sent', () => {
+    const resultFile = tempFile();
+    const first = plan(`${bob},10\n`, resultFile);
+    first.rows[0].status = 'sent';
+    writeDistributionResults(resultFile, first);
+
+    const edited = plan(`${bob},10\n${bob},10\n`, resultFile);
+    assert.deepEqual(edited.rows.map(row => row.status), ['done', 'pending']);
+});
+
+test('rows of an unconfirmed batch block the distribution', () => {
+    const resultFile = tempFile();
+    const first = plan(`${bob},10\n${carol},20\n`, resultFile);
+    Object.assign(first.rows[0], { status: 'unknown', signature: 'sig', error: 'Not confirmed within 60s' });
+    Object.assign(first.rows[1], { status: 'failed', error: 'Simulation failed' });
+    writeDistributionResults(resultFile, first);
+
+    const again = plan(`${bob},10\n${carol},20\n`, resultFile);
+    assert.deepEqual(again.rows.map(row => row.status), ['unknown', 'pending']);
+    assert.equal(again.problems.length, 1);
+    assert.match(again.problems[0], /sig/);
+});
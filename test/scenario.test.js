@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng, parseScenario, defaultScenario, scenarioStep, ScenarioError } from '../src/scenario.js';
+
+const draws = (seed, n = 5) => {
+    const rng = createRng(seed);
+    return Array.from({ length: n }, () => rng.next());
+};
+
+const steps = (scenario, seed, walletIndex, count = 6) => Array.from({ length: count }, (_, i) => {
+    const { rng, ...step } = scenarioStep(scenario, { seed, walletIndex, number: i + 1 });
+    return step;
+});
+
+test('the same seed gives the same numbers, another seed different ones', () => {
+    assert.deepEqual(draws(42), draws(42));
+    assert.deepEqual(draws('run-1'), draws('run-1'));
+    assert.notDeepEqual(draws(42), draws(43));
+    const rng = createRng(7);
+    for (let i = 0; i < 100; i++) {
+        const n = rng.int(3, 5);
+        assert.ok(n >= 3 && n <= 5);
+    }
+});
+
+test('a seed replays every wallet\'s steps, whatever order the wallets run in', () => {
+    const scenario = parseScenario({
+        mode: 'weighted',
+        steps: [
+            { action: 'mint', amount: { min: 1, max: 1000 }, weight: 2 },
+            { action: 'transfer', amount: { min: 10, max: 100 }, delay: { min: 1, max: 5 } },
+            { action: 'burn' }
+        ]
+    });
+    const forward = [1, 2, 3].map(walletIndex => steps(scenario, 99, walletIndex));
+    const backward = [3, 2, 1].map(walletIndex => steps(scenario, 99, walletIndex)).reverse();
+    assert.deepEqual(forward, backward);
+    assert.notDeepEqual(steps(scenario, 99, 1), steps(scenario, 100, 1));
+});
+
+test('ordered scenarios take their steps in turn and fill in default amounts', () => {
+    const scenario = parseScenario({ steps: [{ action: 'mint', amount: 5 }, { action: 'burn' }] });
+    const [first, second, third] = steps(scenario, 1, 1, 3);
+    assert.equal(first.action, 'mint');
+    assert.equal(first.amount, 5);
+    assert.equal(second.action, 'burn');
+    assert.ok(second.amount >= 1 && second.amount <= 50);
+    assert.equal(third.action, 'mint');
+});
+
+test('weighted picks skip actions the wallet cannot take', () => {
+    const scenario = defaultScenario('token');
+    for (let number = 1; number <= 20; number++) {
+        const step = scenarioStep(scenario, { seed: 5, walletIndex: 1, number, allowed: action => action !== 'mint' });
+        assert.notEqual(step.action, 'mint');
+    }
+});
+
+test('bigint amounts pass as they are, bad steps are all reported', () => {
+    const amount = 2n ** 60n;
+    const scenario = parseScenario({ steps: [{ action: 'transfer', amount }] });
+    assert.equal(scenarioStep(scenario, { seed: 1, walletIndex: 1, number: 1 }).amount, amount);
+
+    assert.throws(() => parseScenario({ mode: 'random', steps: [{ action: 'fly' }, { action: 'mint', amount: 0 }] }), (error) => {
+        assert.ok(error instanceof ScenarioError);
+        assert.equal(error.problems.length, 3);
+        return true;
+    });
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSchedule, nextRun, ScheduleError } from '../src/schedule.js';
+
+// Local time, as the schedules read it. 2026-10-19 is a Monday.
+const at = (day, hour = 0, minute = 0) => new Date(2026, 9, day, hour, minute);
+
+test('fields, lists, ranges and steps', () => {
+    assert.deepEqual(nextRun('*/15 * * * *', at(19, 10, 5)), at(19, 10, 15));
+    assert.deepEqual(nextRun('30 8-20/4 * * *', at(19, 9)), at(19, 12, 30));
+    assert.deepEqual(nextRun('0 9,17 * * *', at(19, 9)), at(19, 17));
+    assert.deepEqual(nextRun('0 9 * * 1-5', at(23, 10)), at(26, 9));
+});
+
+test('macros, and 7 is Sunday', () => {
+    assert.deepEqual(nextRun('@hourly', at(19, 10, 5)), at(19, 11));
+    assert.deepEqual(nextRun('@daily', at(19, 10)), at(20));
+    assert.deepEqual(nextRun('@weekly', at(19)), at(25));
+    assert.deepEqual(nextRun('0 0 * * 7', at(19)), at(25));
+    assert.deepEqual(nextRun('@monthly', at(19)), new Date(2026, 10, 1));
+});
+
+test('the next run is always after `from`, on the minute', () => {
+    const from = new Date(2026, 9, 19, 9, 0, 30);
+    assert.deepEqual(nextRun('0 9 * * *', from), at(20, 9));
+    assert.deepEqual(nextRun('* * * * *', from), at(19, 9, 1));
+});
+
+test('a restricted day of month and day of week fire on either', () => {
+    // The 13th, or any Friday
+    assert.deepEqual(nextRun('0 0 13 * 5', at(19)), at(23));
+    assert.deepEqual(nextRun('0 0 13 * 5', at(30)), new Date(2026, 10, 6));
+});
+
+test('a day field starting with * does not restrict, even with a step', () => {
+    // Only the 15th, which is an even weekday: */2 must not turn this into "15th or even weekdays"
+    assert.deepEqual(nextRun('0 9 15 * */2', at(1)), at(15, 9));
+    // Odd days that are Mondays: the 19th, then not the 26th but November 9th
+    assert.deepEqual(nextRun('0 9 */2 * 1', at(19)), at(19, 9));
+    assert.deepEqual(nextRun('0 9 */2 * 1', at(19, 10)), new Date(2026, 10, 9, 9));
+});
+
+test('bad expressions report every problem, impossible dates never fire', () => {
+    assert.throws(() => parseSchedule('* * *'), ScheduleError);
+    assert.throws(() => parseSchedule('61 25 * * x'), (error) => {
+        assert.equal(error.problems.length, 3);
+        return true;
+    });
+    assert.throws(() => parseSchedule('*/0 * * * *'), /step cannot be 0/);
+    assert.throws(() => nextRun('0 0 31 2 *', at(19)), /never fires/);
+});